@@ -127,4 +127,22 @@ formats.forEach(function (format) {
     outputs = flatten(outputs.map(format));
 });
 
+// The worker script is only provided as a universal module which can be
+// loaded using importScripts().
+
+const [ignore, minified] = formats;
+outputs = outputs.concat(minified({
+    input: "src/js/VectorTileWorker.js",
+    output: {
+        file: "dist/VectorTileLayer.worker.js",
+        format: "umd",
+        name: "VectorTileWorker",
+        sourcemap: true
+    },
+    plugins: [
+        commonjs(),
+        nodeResolve()
+    ]
+}));
+
 export default Object.freeze(outputs);
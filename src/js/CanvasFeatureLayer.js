@@ -0,0 +1,506 @@
+/*
+ * Copyright 2026, agent <agent@local>
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ *   1. Redistributions of source code must retain the above copyright
+ *      notice, this list of conditions and the following disclaimer.
+ *
+ *   2. Redistributions in binary form must reproduce the above copyright
+ *      notice, this list of conditions and the following disclaimer in the
+ *      documentation and/or other materials provided with the
+ *      distribution.
+ *
+ *   3. Neither the name of the copyright holder nor the names of its
+ *      contributors may be used to endorse or promote products derived
+ *      from this software without specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS"
+ * AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE
+ * IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE
+ * ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT HOLDER OR CONTRIBUTORS BE
+ * LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR
+ * CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF
+ * SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS
+ * INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN
+ * CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE)
+ * ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE
+ * POSSIBILITY OF SUCH DAMAGE.
+ */
+
+/*jslint browser*/
+
+/*property
+    PI, Path2D, addEventListener, angle, applyOptions, arc, bbox, box,
+    character, closePath, color, complete, contains, createElement, dashArray,
+    dashOffset, distanceTo, draw, drawImage, fill, fillColor, fillOpacity,
+    fillPattern, fillRule, fillStyle, fillText, fire, font, fontSize, forEach,
+    from, getCenter, getTransform, globalAlpha, gradient, haloColor, haloWidth,
+    hidden, icon, iconAnchor, iconSize, iconUrl, interactive, isInteractive,
+    isPointInPath, isPointInStroke, key, lineCap, lineDashOffset, lineJoin,
+    lineTo, lineWidth, loadGeometry, map, measureText, moveTo, once, opacity,
+    options, p, pattern, placement, pointToSegmentDistance, priority,
+    properties, prototype, radius, restore, rotate, save, scalePoint,
+    setLineDash, setPaintServers, setStyle, setSuppressed, simplify, some,
+    split, src, stroke, strokeGradient, strokeStyle, strokeText, style,
+    suppressed, textAlign, textAnchor, textBaseline, textColor, textOffset,
+    transformPoint, translate, type, types, weight, width, x, y
+*/
+
+import {
+    CircleMarker,
+    LineUtil,
+    Path,
+    Polygon,
+    extend
+} from "leaflet";
+
+import {VectorTileFeature} from "@mapbox/vector-tile";
+import {featureLayerBase} from "./FeatureLayer.js";
+import {gradientLine} from "./PaintServer.js";
+import {simplifyRings} from "./Geometry.js";
+import {
+    isLabelStyle,
+    labelAlignment,
+    labelBox,
+    labelFont,
+    labelLine,
+    labelOptions,
+    labelText,
+    lineLabelBox,
+    lineLength,
+    placementPriority,
+    pointAlong
+} from "./Label.js";
+
+// Icon images shared by all canvas tiles, indexed by URL.
+const images = {};
+
+function loadImage(url) {
+    if (!images[url]) {
+        images[url] = document.createElement("img");
+        images[url].src = url;
+    }
+    return images[url];
+}
+
+function dashArray(style) {
+    if ("string" === typeof style.dashArray) {
+        return style.dashArray.split(/[,\s]+/).map(Number);
+    }
+    return style.dashArray || [];
+}
+
+// Convert a point in tile pixels to the canvas device pixels expected by
+// isPointInPath() and isPointInStroke().
+function devicePoint(ctx, p) {
+    return ctx.getTransform().transformPoint({x: p.x, y: p.y});
+}
+
+// Patterned fills and gradient strokes require the paint servers of the
+// tile and, for gradients, the start and end points of the line.
+function drawCanvasPath(ctx, path, style, paintServers, line) {
+    if (style.fill) {
+        ctx.globalAlpha = style.fillOpacity;
+        ctx.fillStyle = (
+            (
+                paintServers &&
+                style.fillPattern &&
+                paintServers.pattern(ctx, style)
+            ) ||
+            style.fillColor ||
+            style.color
+        );
+        ctx.fill(path, style.fillRule || "evenodd");
+    }
+
+    if (style.stroke && 0 !== style.weight) {
+        ctx.setLineDash(dashArray(style));
+        ctx.lineDashOffset = Number(style.dashOffset) || 0;
+        ctx.globalAlpha = style.opacity;
+        ctx.lineWidth = style.weight;
+        ctx.strokeStyle = (
+            (paintServers && style.strokeGradient && line)
+            ? paintServers.gradient(ctx, style, line)
+            : style.color
+        );
+        ctx.lineCap = style.lineCap;
+        ctx.lineJoin = style.lineJoin;
+        ctx.stroke(path);
+    }
+}
+export {drawCanvasPath};
+
+function canvasFeatureLayerBase(feature, layerName, pxPerExtent, options) {
+    const self = featureLayerBase(feature, layerName, pxPerExtent, options);
+
+    self.style = options;
+    self.suppressed = false;
+
+    // Hide the feature layer regardless of its style, for example to avoid
+    // overlapping labels.
+    self.setSuppressed = function setSuppressed(suppressed) {
+        if (suppressed !== self.suppressed) {
+            self.suppressed = suppressed;
+            self.fire("update");
+        }
+    };
+
+    // Remember the style and let the tile know that it needs redrawing.
+    self.setStyle = function setStyle(style) {
+        self.style = extend({}, options, style);
+        self.fire("update");
+    };
+
+    self.isInteractive = () => Boolean(
+        self.style.interactive && !self.style.hidden && !self.suppressed
+    );
+
+    return self;
+}
+export {canvasFeatureLayerBase};
+
+function canvasCircleLayer(feature, layerName, pxPerExtent, options) {
+    options = extend({}, CircleMarker.prototype.options, options);
+    const self = canvasFeatureLayerBase(
+        feature,
+        layerName,
+        pxPerExtent,
+        options
+    );
+
+    const pt = self.scalePoint(feature.loadGeometry()[0][0]);
+
+    self.draw = function draw(ctx) {
+        if (self.style.hidden) {
+            return;
+        }
+        const path = new window.Path2D();
+        path.arc(pt.x, pt.y, self.style.radius, 0, 2 * Math.PI);
+        drawCanvasPath(ctx, path, self.style);
+    };
+
+    self.contains = function contains(ignore, p) {
+        const {radius, stroke, weight} = self.style;
+        return pt.distanceTo(p) <= radius + (
+            stroke
+            ? weight / 2
+            : 0
+        );
+    };
+
+    self.applyOptions(options);
+
+    return self;
+}
+export {canvasCircleLayer};
+
+function canvasPathLayer(feature, layerName, pxPerExtent, options) {
+    const isPolygon = "Polygon" === VectorTileFeature.types[feature.type];
+    options = extend(
+        {},
+        (
+            isPolygon
+            ? Polygon.prototype.options
+            : Path.prototype.options
+        ),
+        options
+    );
+
+    const self = canvasFeatureLayerBase(
+        feature,
+        layerName,
+        pxPerExtent,
+        options
+    );
+
+    const rings = simplifyRings(
+        feature.loadGeometry().map((ring) => ring.map(self.scalePoint)),
+        options.simplify,
+        isPolygon
+    );
+    const line = gradientLine(rings);
+    const path = new window.Path2D();
+    let m_paintServers;
+
+    rings.forEach(function (ring) {
+        ring.forEach(function (p, idx) {
+            if (0 === idx) {
+                path.moveTo(p.x, p.y);
+            } else {
+                path.lineTo(p.x, p.y);
+            }
+        });
+        if (isPolygon) {
+            path.closePath();
+        }
+    });
+
+    self.draw = function draw(ctx) {
+        if (!self.style.hidden) {
+            drawCanvasPath(ctx, path, self.style, m_paintServers, line);
+        }
+    };
+
+    // Patterns and gradients are provided by the tile.
+    self.setPaintServers = function setPaintServers(paintServers) {
+        m_paintServers = paintServers;
+    };
+
+    self.contains = function contains(ctx, p) {
+        const {fill, fillRule, stroke, weight} = self.style;
+        const dp = devicePoint(ctx, p);
+
+        if (
+            fill &&
+            ctx.isPointInPath(path, dp.x, dp.y, fillRule || "evenodd")
+        ) {
+            return true;
+        }
+        if (!stroke) {
+            return false;
+        }
+        ctx.save();
+        ctx.lineWidth = weight;
+        const result = ctx.isPointInStroke(path, dp.x, dp.y);
+        ctx.restore();
+        return result;
+    };
+
+    self.applyOptions(options);
+
+    return self;
+}
+export {canvasPathLayer};
+
+function canvasIconLayer(feature, layerName, pxPerExtent, options) {
+    const self = canvasFeatureLayerBase(
+        feature,
+        layerName,
+        pxPerExtent,
+        options
+    );
+
+    const pos = self.scalePoint(feature.loadGeometry()[0][0]);
+
+    // The top left corner and size of the icon in tile pixels.
+    function iconBox() {
+        const {iconAnchor, iconSize} = self.style.icon.options;
+        const anchor = iconAnchor || [0, 0];
+        return [pos.x - anchor[0], pos.y - anchor[1], iconSize[0], iconSize[1]];
+    }
+
+    self.draw = function draw(ctx) {
+        const {hidden, icon} = self.style;
+        if (hidden || !icon) {
+            return;
+        }
+
+        const image = loadImage(icon.options.iconUrl);
+        if (!image.complete) {
+            image.addEventListener("load", () => self.fire("update"), {
+                once: true
+            });
+            return;
+        }
+
+        const [x, y, width, height] = iconBox();
+        ctx.drawImage(image, x, y, width, height);
+    };
+
+    self.contains = function contains(ignore, p) {
+        if (!self.style.icon) {
+            return false;
+        }
+        const [x, y, width, height] = iconBox();
+        return x <= p.x && p.x < x + width && y <= p.y && p.y < y + height;
+    };
+
+    self.placement = function placement() {
+        const {hidden, icon} = self.style;
+        if (hidden || !icon) {
+            return;
+        }
+        const [x, y, width, height] = iconBox();
+        return {
+            box: [x, y, x + width, y + height],
+            priority: placementPriority(feature.properties, self.style)
+        };
+    };
+
+    self.applyOptions(options);
+
+    return self;
+}
+export {canvasIconLayer};
+
+function canvasLabelLayer(feature, layerName, pxPerExtent, options) {
+    options = extend({}, labelOptions, options);
+    const self = canvasFeatureLayerBase(
+        feature,
+        layerName,
+        pxPerExtent,
+        options
+    );
+    const featureType = VectorTileFeature.types[feature.type];
+
+    const line = (
+        "LineString" === featureType
+        ? labelLine(feature.loadGeometry()).map(self.scalePoint)
+        : undefined
+    );
+    const pos = (
+        "Point" === featureType
+        ? self.scalePoint(feature.loadGeometry()[0][0])
+        : self.bbox().getCenter()
+    );
+
+    function applyFont(ctx) {
+        const {haloColor, haloWidth, textColor} = self.style;
+        ctx.font = labelFont(self.style);
+        ctx.globalAlpha = 1;
+        ctx.fillStyle = textColor;
+        ctx.strokeStyle = haloColor;
+        ctx.lineWidth = 2 * haloWidth;
+        ctx.lineJoin = "round";
+        ctx.setLineDash([]);
+    }
+
+    // Return the position and angle of every character following the
+    // line, or undefined if the text is longer than the line.
+    function placeAlongLine(ctx, text) {
+        const length = lineLength(line);
+        const width = ctx.measureText(text).width;
+        if (length < width) {
+            return;
+        }
+
+        let offset = (length - width) / 2 + self.style.textOffset[0];
+        return Array.from(text).map(function (character) {
+            const charWidth = ctx.measureText(character).width;
+            const [p, angle] = pointAlong(line, offset + charWidth / 2);
+            offset += charWidth;
+            return {angle, character, p};
+        });
+    }
+
+    // Draw halos beneath all text before the text itself.
+    function drawPlaced(ctx, placed) {
+        const [ignore, vertical] = labelAlignment(self.style.textAnchor);
+        const dy = self.style.textOffset[1];
+        ctx.textAlign = "center";
+        ctx.textBaseline = vertical;
+
+        [true, false].forEach(function (halo) {
+            if (halo && !(0 < self.style.haloWidth)) {
+                return;
+            }
+            placed.forEach(function ({angle, character, p}) {
+                ctx.save();
+                ctx.translate(p.x, p.y);
+                ctx.rotate(angle);
+                if (halo) {
+                    ctx.strokeText(character, 0, dy);
+                } else {
+                    ctx.fillText(character, 0, dy);
+                }
+                ctx.restore();
+            });
+        });
+    }
+
+    function drawAtPoint(ctx, text) {
+        const [horizontal, vertical] = labelAlignment(self.style.textAnchor);
+        const [dx, dy] = self.style.textOffset;
+        ctx.textAlign = horizontal;
+        ctx.textBaseline = vertical;
+        if (0 < self.style.haloWidth) {
+            ctx.strokeText(text, pos.x + dx, pos.y + dy);
+        }
+        ctx.fillText(text, pos.x + dx, pos.y + dy);
+    }
+
+    self.draw = function draw(ctx) {
+        const text = labelText(feature.properties, self.style);
+        if (self.style.hidden || !text) {
+            return;
+        }
+
+        ctx.save();
+        applyFont(ctx);
+        if (line) {
+            const placed = placeAlongLine(ctx, text);
+            if (placed) {
+                drawPlaced(ctx, placed);
+            }
+        } else {
+            drawAtPoint(ctx, text);
+        }
+        ctx.restore();
+    };
+
+    self.contains = function contains(ignore, p) {
+        const {fontSize} = self.style;
+
+        if (line) {
+            return line.some(
+                (b, idx) => 0 !== idx && LineUtil.pointToSegmentDistance(
+                    p,
+                    line[idx - 1],
+                    b
+                ) <= fontSize / 2
+            );
+        }
+
+        const [x0, y0, x1, y1] = labelBox(
+            pos,
+            labelText(feature.properties, self.style),
+            self.style
+        );
+        return x0 <= p.x && p.x < x1 && y0 <= p.y && p.y < y1;
+    };
+
+    self.placement = function placement() {
+        const text = labelText(feature.properties, self.style);
+        if (self.style.hidden || !text) {
+            return;
+        }
+        return {
+            box: (
+                line
+                ? lineLabelBox(line, text, self.style)
+                : labelBox(pos, text, self.style)
+            ),
+            key: text,
+            priority: placementPriority(feature.properties, self.style)
+        };
+    };
+
+    self.applyOptions(options);
+
+    return self;
+}
+export {canvasLabelLayer};
+
+function defaultCanvasFeatureLayer(feature, layerName, pxPerExtent, options) {
+    if (isLabelStyle(options)) {
+        return canvasLabelLayer(feature, layerName, pxPerExtent, options);
+    }
+
+    switch (VectorTileFeature.types[feature.type]) {
+    case "Point":
+        if (options.icon) {
+            return canvasIconLayer(feature, layerName, pxPerExtent, options);
+        }
+        return canvasCircleLayer(feature, layerName, pxPerExtent, options);
+
+    case "Polygon":
+    case "LineString":
+        return canvasPathLayer(feature, layerName, pxPerExtent, options);
+
+    default:
+        throw new Error("Unknown feature type");
+    }
+}
+export {defaultCanvasFeatureLayer};
@@ -0,0 +1,227 @@
+/*
+ * Copyright 2026, agent <agent@local>
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ *   1. Redistributions of source code must retain the above copyright
+ *      notice, this list of conditions and the following disclaimer.
+ *
+ *   2. Redistributions in binary form must reproduce the above copyright
+ *      notice, this list of conditions and the following disclaimer in the
+ *      documentation and/or other materials provided with the
+ *      distribution.
+ *
+ *   3. Neither the name of the copyright holder nor the names of its
+ *      contributors may be used to endorse or promote products derived
+ *      from this software without specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS"
+ * AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE
+ * IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE
+ * ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT HOLDER OR CONTRIBUTORS BE
+ * LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR
+ * CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF
+ * SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS
+ * INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN
+ * CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE)
+ * ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE
+ * POSSIBILITY OF SUCH DAMAGE.
+ */
+
+/*jslint browser*/
+
+/*property
+    _map, addClass, addFeatureLayer, addPlaceholder, clear, clearPlaceholders,
+    clearRect, containerPoint, containerPointToLayerPoint, contains, create,
+    devicePixelRatio, domElement, dragging, draw, drawImage, element,
+    featureLayer, fire, forEach, freeze, getContext, getMousePosition, height,
+    isInteractive, latlng, layerPoint, layerPointToLatLng, length,
+    mouseEventToContainerPoint, moved, off, offset, on, originalEvent,
+    pointerEvents, position, push, removeClass, requestAnimFrame, restore,
+    round, save, scale, setHovered, setOverflow, setPaintServers, size, some,
+    splice, style, suppressed, translate, type, width, x, y
+*/
+
+import {DomEvent, DomUtil, Util} from "leaflet";
+import {canvasPaintServers} from "./PaintServer.js";
+
+// The origin is the top left corner of the tile in map pixels.
+export default Object.freeze(function canvasTileRenderer(tileSize, origin) {
+    const self = {};
+    const m_canvas = DomUtil.create("canvas");
+    const m_ctx = m_canvas.getContext("2d");
+    const m_ratio = window.devicePixelRatio || 1;
+    const m_layers = [];
+    const m_placeholders = [];
+    let m_overflow = [];
+    let m_frame;
+    let m_hovered;
+
+    m_canvas.width = Math.round(tileSize.x * m_ratio);
+    m_canvas.height = Math.round(tileSize.y * m_ratio);
+
+    // Feature layers draw in tile pixels.
+    m_ctx.scale(m_ratio, m_ratio);
+
+    function draw() {
+        m_frame = undefined;
+        m_ctx.clearRect(0, 0, tileSize.x, tileSize.y);
+        m_placeholders.forEach(function ({element, position, size}) {
+            m_ctx.drawImage(element, position.x, position.y, size.x, size.y);
+        });
+        m_layers.forEach(function (featureLayer) {
+            if (featureLayer.suppressed) {
+                return;
+            }
+            m_ctx.save();
+            featureLayer.draw(m_ctx);
+            m_ctx.restore();
+        });
+        m_overflow.forEach(function ({featureLayer, offset}) {
+            m_ctx.save();
+            m_ctx.translate(offset.x, offset.y);
+            featureLayer.draw(m_ctx);
+            m_ctx.restore();
+        });
+
+        // Only intercept mouse events if there is something to hit.
+        m_canvas.style.pointerEvents = (
+            m_layers.some((featureLayer) => featureLayer.isInteractive())
+            ? "auto"
+            : ""
+        );
+    }
+
+    function requestDraw() {
+        if (!m_frame) {
+            m_frame = Util.requestAnimFrame(draw);
+        }
+    }
+
+    // Return the topmost interactive feature layer at the mouse position.
+    function featureLayerAt(evt) {
+        const p = DomEvent.getMousePosition(evt, m_canvas);
+        let idx = m_layers.length;
+        while (0 !== idx) {
+            idx -= 1;
+            const featureLayer = m_layers[idx];
+            if (
+                featureLayer.isInteractive() &&
+                featureLayer.contains(m_ctx, p)
+            ) {
+                return featureLayer;
+            }
+        }
+    }
+
+    function fire(featureLayer, type, evt) {
+        const map = featureLayer._map;
+        if (!map) {
+            return;
+        }
+        const containerPoint = map.mouseEventToContainerPoint(evt);
+        const layerPoint = map.containerPointToLayerPoint(containerPoint);
+        featureLayer.fire(type, {
+            containerPoint,
+            latlng: map.layerPointToLatLng(layerPoint),
+            layerPoint,
+            originalEvent: evt
+        }, true);
+    }
+
+    function setHovered(featureLayer, evt) {
+        if (featureLayer === m_hovered) {
+            return;
+        }
+        if (m_hovered) {
+            DomUtil.removeClass(m_canvas, "leaflet-interactive");
+            fire(m_hovered, "mouseout", evt);
+        }
+        m_hovered = featureLayer;
+        if (m_hovered) {
+            DomUtil.addClass(m_canvas, "leaflet-interactive");
+            fire(m_hovered, "mouseover", evt);
+        }
+    }
+
+    DomEvent.on(
+        m_canvas,
+        "click dblclick mousedown mouseup contextmenu",
+        function (evt) {
+            const featureLayer = featureLayerAt(evt);
+            if (!featureLayer || !featureLayer._map) {
+                return;
+            }
+
+            // Don't report clicks at the end of a drag.
+            const {dragging} = featureLayer._map;
+            if ("click" === evt.type && dragging && dragging.moved()) {
+                return;
+            }
+            fire(featureLayer, evt.type, evt);
+        }
+    );
+
+    DomEvent.on(m_canvas, "mousemove", function (evt) {
+        setHovered(featureLayerAt(evt), evt);
+        if (m_hovered) {
+            fire(m_hovered, "mousemove", evt);
+        }
+    });
+
+    DomEvent.on(m_canvas, "mouseout", (evt) => setHovered(undefined, evt));
+
+    const m_paintServers = canvasPaintServers(origin, requestDraw);
+
+    self.addFeatureLayer = function addFeatureLayer(featureLayer) {
+        m_layers.push(featureLayer);
+        featureLayer.on("update", requestDraw);
+        if (featureLayer.setPaintServers) {
+            featureLayer.setPaintServers(m_paintServers);
+        }
+        requestDraw();
+    };
+
+    self.clear = function clear() {
+        m_layers.splice(0).forEach(
+            (featureLayer) => featureLayer.off("update", requestDraw)
+        );
+        m_overflow = [];
+        m_hovered = undefined;
+        DomUtil.removeClass(m_canvas, "leaflet-interactive");
+        requestDraw();
+    };
+
+    // Draw the parts of other tiles' labels and icons which extend into
+    // this tile, given the feature layers and their offsets in tile pixels.
+    self.setOverflow = function setOverflow(overflow) {
+        if (0 === overflow.length && 0 === m_overflow.length) {
+            return;
+        }
+        m_overflow = overflow;
+        requestDraw();
+    };
+
+    // Hand the hover over to a new feature layer without firing events.
+    self.setHovered = function setHovered(featureLayer) {
+        m_hovered = featureLayer;
+        DomUtil.addClass(m_canvas, "leaflet-interactive");
+    };
+
+    // Draw another tile's canvas at the given position and size in tile
+    // pixels until the features have been added.
+    self.addPlaceholder = function addPlaceholder(element, position, size) {
+        m_placeholders.push({element, position, size});
+        requestDraw();
+    };
+
+    self.clearPlaceholders = function clearPlaceholders() {
+        m_placeholders.splice(0);
+        requestDraw();
+    };
+
+    self.domElement = () => m_canvas;
+
+    return self;
+});
@@ -0,0 +1,96 @@
+/*
+ * Copyright 2026, agent <agent@local>
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ *   1. Redistributions of source code must retain the above copyright
+ *      notice, this list of conditions and the following disclaimer.
+ *
+ *   2. Redistributions in binary form must reproduce the above copyright
+ *      notice, this list of conditions and the following disclaimer in the
+ *      documentation and/or other materials provided with the
+ *      distribution.
+ *
+ *   3. Neither the name of the copyright holder nor the names of its
+ *      contributors may be used to endorse or promote products derived
+ *      from this software without specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS"
+ * AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE
+ * IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE
+ * ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT HOLDER OR CONTRIBUTORS BE
+ * LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR
+ * CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF
+ * SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS
+ * INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN
+ * CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE)
+ * ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE
+ * POSSIBILITY OF SUCH DAMAGE.
+ */
+
+/*property
+    buffer, byteLength, byteOffset, deflate, freeze, gzip, min, reject, resolve,
+    slice, then
+*/
+
+import {decompressStream, err} from "./Load.js";
+import {gunzipSync, inflateSync, unzlibSync} from "fflate";
+
+// Decompressors used where DecompressionStream lacks support for a format.
+// Other formats such as brotli are only supported natively.
+const fallbacks = Object.freeze({
+    deflate: unzlibSync,
+    "deflate-raw": inflateSync,
+    gzip: gunzipSync
+});
+
+// Return the compression format of the buffer based on its magic bytes.
+function detect(buffer) {
+    const bytes = new Uint8Array(buffer, 0, Math.min(2, buffer.byteLength));
+    return (
+        (0x1f === bytes[0] && 0x8b === bytes[1])
+        ? "gzip"
+        : "none"
+    );
+}
+
+// Resolve to the buffer decompressed using the given format, which may be
+// "auto" to recognise gzip data. Empty buffers are passed through. Formats
+// that are neither supported by DecompressionStream nor bundled are
+// rejected.
+export default Object.freeze(function decompress(buffer, format) {
+    if (!buffer) {
+        return Promise.resolve(buffer);
+    }
+
+    if ("auto" === format) {
+        format = detect(buffer);
+    }
+
+    if ("none" === format) {
+        return Promise.resolve(buffer);
+    }
+
+    const result = decompressStream(buffer, format);
+    if (result) {
+        return result;
+    }
+
+    const fallback = fallbacks[format];
+    if (!fallback) {
+        return Promise.reject(err(
+            "Unsupported compression",
+            format,
+            "not supported by DecompressionStream"
+        ));
+    }
+
+    return Promise.resolve(new Uint8Array(buffer)).then(function (bytes) {
+        const data = fallback(bytes);
+        return data.buffer.slice(
+            data.byteOffset,
+            data.byteOffset + data.byteLength
+        );
+    });
+});
@@ -0,0 +1,682 @@
+/*
+ * Copyright 2026, agent <agent@local>
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ *   1. Redistributions of source code must retain the above copyright
+ *      notice, this list of conditions and the following disclaimer.
+ *
+ *   2. Redistributions in binary form must reproduce the above copyright
+ *      notice, this list of conditions and the following disclaimer in the
+ *      documentation and/or other materials provided with the
+ *      distribution.
+ *
+ *   3. Neither the name of the copyright holder nor the names of its
+ *      contributors may be used to endorse or promote products derived
+ *      from this software without specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS"
+ * AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE
+ * IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE
+ * ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT HOLDER OR CONTRIBUTORS BE
+ * LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR
+ * CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF
+ * SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS
+ * INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN
+ * CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE)
+ * ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE
+ * POSSIBILITY OF SUCH DAMAGE.
+ */
+
+/*property
+    abs, all, any, assign, at, base, call, case, ceil, coalesce, concat,
+    default, downcase, every, exec, filter, findIndex, floor, forEach, get,
+    getPrototypeOf, has, hasOwnProperty, id, in, includes, interpolate, isArray,
+    isNaN, join, keys, length, literal, ln, log, log10, map, match, max,
+    message, min, properties, property, prototype, push, reduce, rgb, rgba,
+    round, slice, some, split, sqrt, step, stops, test, toLowerCase,
+    toUpperCase, trim, type, upcase, zoom
+*/
+
+import {err} from "./Load.js";
+
+/*
+ * Compile the expressions of Mapbox GL and MapLibre styles into functions
+ * of a vector-tile feature and a zoom level. Legacy filters and property
+ * functions are converted to expressions first. Unknown operators and wrong
+ * numbers of arguments raise an error when compiling. Style objects of
+ * VectorTileLayer may contain expressions as well.
+ */
+
+// Geometry type names indexed by vector-tile feature type.
+const geometryTypes = ["Unknown", "Point", "LineString", "Polygon"];
+
+// Operators taking evaluated arguments.
+const operators = {
+    "!": (a) => !a,
+    "!=": (a, b) => a !== b,
+    "%": (a, b) => a % b,
+    "*": (...args) => args.reduce((a, b) => a * b, 1),
+    "+": (...args) => args.reduce((a, b) => a + b, 0),
+    "-": (a, b) => (
+        undefined === b
+        ? -a
+        : a - b
+    ),
+    "/": (a, b) => a / b,
+    "<": (a, b) => a < b,
+    "<=": (a, b) => a <= b,
+    "==": (a, b) => a === b,
+    ">": (a, b) => a > b,
+    ">=": (a, b) => a >= b,
+    "^": (a, b) => a ** b,
+    abs: Math.abs,
+    at: (index, array) => array[index],
+    ceil: Math.ceil,
+    concat: (...args) => args.join(""),
+    downcase: (a) => String(a).toLowerCase(),
+    floor: Math.floor,
+    in: (needle, haystack) => (
+        null !== haystack &&
+        undefined !== haystack &&
+        haystack.includes(needle)
+    ),
+    length: (a) => a.length,
+    ln: Math.log,
+    log10: Math.log10,
+    max: Math.max,
+    min: Math.min,
+    rgb: (r, g, b) => `rgb(${r}, ${g}, ${b})`,
+    rgba: (r, g, b, a) => `rgba(${r}, ${g}, ${b}, ${a})`,
+    round: Math.round,
+    sqrt: Math.sqrt,
+    "to-boolean": Boolean,
+    "to-color": (a) => a,
+    "to-number": Number,
+    "to-string": (a) => (
+        (null === a || undefined === a)
+        ? ""
+        : String(a)
+    ),
+    upcase: (a) => String(a).toUpperCase()
+};
+
+function parseHexColor(digits) {
+    if (digits.length <= 4) {
+        digits = digits.split("").map((d) => d + d).join("");
+    }
+    const values = digits.match(/../g).map((d) => parseInt(d, 16));
+    return [
+        values[0],
+        values[1],
+        values[2],
+        (
+            4 === values.length
+            ? values[3] / 255
+            : 1
+        )
+    ];
+}
+
+// Convert hue, saturation and lightness to red, green and blue.
+function hslToRgb([h, s, l, a]) {
+    const chroma = (1 - Math.abs(2 * l / 100 - 1)) * s / 100;
+
+    function channel(n) {
+        const k = (n + h / 30) % 12;
+        return 255 * (
+            l / 100 -
+            chroma * Math.max(-1, Math.min(k - 3, 9 - k, 1)) / 2
+        );
+    }
+
+    return [channel(0), channel(8), channel(4), a];
+}
+
+// Return the components [r, g, b, a] of a CSS colour in hexadecimal, rgb()
+// or hsl() notation, or undefined.
+function parseColor(color) {
+    if ("string" !== typeof color) {
+        return;
+    }
+
+    const hex = (/^#([0-9a-f]{3,8})$/i).exec(color.trim());
+    if (hex) {
+        return parseHexColor(hex[1]);
+    }
+
+    const func = (/^(rgb|hsl)a?\(([^)]*)\)$/i).exec(color.trim());
+    if (!func) {
+        return;
+    }
+
+    const values = func[2].split(/[\s,\/]+/).filter(Boolean).map(parseFloat);
+    if (values.length < 3 || values.some(Number.isNaN)) {
+        return;
+    }
+    if (values.length < 4) {
+        values.push(1);
+    }
+    return (
+        "rgb" === func[1].toLowerCase()
+        ? values
+        : hslToRgb(values)
+    );
+}
+
+// Interpolate numbers, arrays of numbers and colours. Other values change
+// at the upper stop.
+function interpolateValue(a, b, t) {
+    if ("number" === typeof a && "number" === typeof b) {
+        return a + (b - a) * t;
+    }
+
+    if (Array.isArray(a) && Array.isArray(b) && a.length === b.length) {
+        return a.map((value, idx) => interpolateValue(value, b[idx], t));
+    }
+
+    const ca = parseColor(a);
+    const cb = parseColor(b);
+    if (ca && cb) {
+        const [r, g, bl, alpha] = ca.map(
+            (value, idx) => value + (cb[idx] - value) * t
+        );
+        return `rgba(${Math.round(r)}, ${Math.round(g)}, ${Math.round(bl)}, ${
+            alpha
+        })`;
+    }
+
+    return (
+        t < 1
+        ? a
+        : b
+    );
+}
+
+// Return the interpolation factor of x between the stops a and b.
+function interpolationFactor(type, x, a, b) {
+    if (b === a) {
+        return 0;
+    }
+
+    const base = (
+        "exponential" === type[0]
+        ? type[1]
+        : 1
+    );
+    if (1 === base) {
+        return (x - a) / (b - a);
+    }
+    return (base ** (x - a) - 1) / (base ** (b - a) - 1);
+}
+
+// Return the index of the last stop not greater than x, or -1.
+function findStop(stops, x) {
+    let idx = 0;
+    while (idx !== stops.length && stops[idx] <= x) {
+        idx += 1;
+    }
+    return idx - 1;
+}
+
+// Split the arguments [stop, output, stop, output, ...] into stops and
+// outputs.
+function pairs(args) {
+    const stops = [];
+    const outputs = [];
+    args.forEach(function (arg, idx) {
+        if (0 === idx % 2) {
+            stops.push(arg);
+        } else {
+            outputs.push(arg);
+        }
+    });
+    return [stops, outputs];
+}
+
+// Compilers for operators that don't simply evaluate all arguments. They
+// receive the arguments and the function compiling sub-expressions.
+const specialForms = {
+    all: function (args, compile) {
+        const compiled = args.map(compile);
+        return (feature, zoom) => compiled.every((arg) => arg(feature, zoom));
+    },
+    any: function (args, compile) {
+        const compiled = args.map(compile);
+        return (feature, zoom) => compiled.some((arg) => arg(feature, zoom));
+    },
+    case: function (args, compile) {
+        const fallback = compile(args[args.length - 1]);
+        const [conditions, outputs] = pairs(args.slice(0, -1).map(compile));
+        return function (feature, zoom) {
+            const idx = conditions.findIndex((arg) => arg(feature, zoom));
+            return (
+                -1 === idx
+                ? fallback(feature, zoom)
+                : outputs[idx](feature, zoom)
+            );
+        };
+    },
+    coalesce: function (args, compile) {
+        const compiled = args.map(compile);
+        return function (feature, zoom) {
+            let value = null;
+            compiled.some(function (arg) {
+                value = arg(feature, zoom);
+                return null !== value && undefined !== value;
+            });
+            return value;
+        };
+    },
+    "geometry-type": () => (feature) => geometryTypes[feature.type],
+    get: function (args, compile) {
+        const [name, object] = args.map(compile);
+        return function (feature, zoom) {
+            const values = (
+                object
+                ? object(feature, zoom)
+                : feature.properties
+            );
+            const value = values && values[name(feature, zoom)];
+            return (
+                undefined === value
+                ? null
+                : value
+            );
+        };
+    },
+    has: function (args, compile) {
+        const get = specialForms.get(args, compile);
+        return (feature, zoom) => null !== get(feature, zoom);
+    },
+    id: () => (feature) => feature.id,
+    interpolate: function (args, compile) {
+        const type = args[0];
+        const input = compile(args[1]);
+        const [stops, outputs] = pairs(args.slice(2));
+        const compiled = outputs.map(compile);
+        return function (feature, zoom) {
+            const x = input(feature, zoom);
+            const idx = findStop(stops, x);
+            if (-1 === idx) {
+                return compiled[0](feature, zoom);
+            }
+            if (stops.length - 1 === idx) {
+                return compiled[idx](feature, zoom);
+            }
+            return interpolateValue(
+                compiled[idx](feature, zoom),
+                compiled[idx + 1](feature, zoom),
+                interpolationFactor(type, x, stops[idx], stops[idx + 1])
+            );
+        };
+    },
+    literal: (args) => () => args[0],
+    match: function (args, compile) {
+        const input = compile(args[0]);
+        const fallback = compile(args[args.length - 1]);
+        const [labels, outputs] = pairs(args.slice(1, -1));
+        const compiled = outputs.map(compile);
+        return function (feature, zoom) {
+            const value = input(feature, zoom);
+            const idx = labels.findIndex(
+                (label) => (
+                    Array.isArray(label)
+                    ? label.includes(value)
+                    : label === value
+                )
+            );
+            return (
+                -1 === idx
+                ? fallback(feature, zoom)
+                : compiled[idx](feature, zoom)
+            );
+        };
+    },
+    properties: () => (feature) => feature.properties,
+    step: function (args, compile) {
+        const input = compile(args[0]);
+        const first = compile(args[1]);
+        const [stops, outputs] = pairs(args.slice(2));
+        const compiled = outputs.map(compile);
+        return function (feature, zoom) {
+            const idx = findStop(stops, input(feature, zoom));
+            return (
+                -1 === idx
+                ? first(feature, zoom)
+                : compiled[idx](feature, zoom)
+            );
+        };
+    },
+    zoom: () => (ignore, zoom) => zoom
+};
+
+// Colour spaces are not distinguished when interpolating.
+specialForms["interpolate-hcl"] = specialForms.interpolate;
+specialForms["interpolate-lab"] = specialForms.interpolate;
+
+// The number of arguments of each operator as [min, max, step]. Without a
+// maximum, exactly min arguments are expected. The step between valid
+// counts defaults to 1.
+const arities = {
+    "!": [1],
+    "!=": [2],
+    "%": [2],
+    "*": [2, Infinity],
+    "+": [2, Infinity],
+    "-": [1, 2],
+    "/": [2],
+    "<": [2],
+    "<=": [2],
+    "==": [2],
+    ">": [2],
+    ">=": [2],
+    "^": [2],
+    abs: [1],
+    all: [0, Infinity],
+    any: [0, Infinity],
+    at: [2],
+    case: [3, Infinity, 2],
+    ceil: [1],
+    coalesce: [1, Infinity],
+    concat: [1, Infinity],
+    downcase: [1],
+    floor: [1],
+    "geometry-type": [0],
+    get: [1, 2],
+    has: [1, 2],
+    id: [0],
+    in: [2],
+    interpolate: [4, Infinity, 2],
+    "interpolate-hcl": [4, Infinity, 2],
+    "interpolate-lab": [4, Infinity, 2],
+    length: [1],
+    literal: [1],
+    ln: [1],
+    log10: [1],
+    match: [4, Infinity, 2],
+    max: [1, Infinity],
+    min: [1, Infinity],
+    properties: [0],
+    rgb: [3],
+    rgba: [4],
+    round: [1],
+    sqrt: [1],
+    step: [2, Infinity, 2],
+    "to-boolean": [1],
+    "to-color": [1],
+    "to-number": [1],
+    "to-string": [1],
+    upcase: [1],
+    zoom: [0]
+};
+
+// Return whether the operator accepts the arguments.
+function validArity(op, args) {
+    const [min, max, step] = arities[op];
+    const count = args.length;
+    if (undefined === max) {
+        return min === count;
+    }
+    return min <= count && count <= max && 0 === (count - min) % (step || 1);
+}
+
+function compile(expr) {
+    if (!Array.isArray(expr)) {
+        return () => expr;
+    }
+
+    const [op, ...args] = expr;
+    if (
+        Object.prototype.hasOwnProperty.call(arities, op) &&
+        !validArity(op, args)
+    ) {
+        throw err("Wrong number of arguments", op, args.length);
+    }
+
+    const special = specialForms[op];
+    if (special) {
+        return special(args, compile);
+    }
+
+    const operator = operators[op];
+    if (!operator) {
+        throw err("Unsupported expression", op);
+    }
+
+    const compiled = args.map(compile);
+    return (feature, zoom) => operator(
+        ...compiled.map((arg) => arg(feature, zoom))
+    );
+}
+
+function legacyGetter(key) {
+    if ("$type" === key) {
+        return ["geometry-type"];
+    }
+    if ("$id" === key) {
+        return ["id"];
+    }
+    return ["get", key];
+}
+
+// Return whether the filter uses the legacy syntax, following the rules
+// of the style specification.
+function isLegacyFilter(filter) {
+    if (!Array.isArray(filter)) {
+        return false;
+    }
+
+    const [op, first, second] = filter;
+
+    if ("!in" === op || "!has" === op || "none" === op) {
+        return true;
+    }
+    if ("has" === op) {
+        return "$id" === first || "$type" === first;
+    }
+    if ("in" === op) {
+        return "string" === typeof first && !Array.isArray(second);
+    }
+    if ("all" === op || "any" === op) {
+        return filter.slice(1).some(isLegacyFilter);
+    }
+    if ((/^([!=]=|[<>]=?)$/).test(op)) {
+        return (
+            3 === filter.length &&
+            "string" === typeof first &&
+            !Array.isArray(second)
+        );
+    }
+    return false;
+}
+
+function convertFilter(filter) {
+    if (!isLegacyFilter(filter)) {
+        return filter;
+    }
+
+    const [op, key, ...values] = filter;
+
+    if ("all" === op || "any" === op) {
+        return [op, ...filter.slice(1).map(convertFilter)];
+    }
+    if ("none" === op) {
+        return ["!", ["any", ...filter.slice(1).map(convertFilter)]];
+    }
+    if ("has" === op) {
+        return ["!=", legacyGetter(key), null];
+    }
+    if ("!has" === op) {
+        return ["!", ["has", key]];
+    }
+    if ("in" === op) {
+        return ["in", legacyGetter(key), ["literal", values]];
+    }
+    if ("!in" === op) {
+        return ["!", ["in", legacyGetter(key), ["literal", values]]];
+    }
+    return [op, legacyGetter(key), values[0]];
+}
+
+// Convert a legacy property function to an expression.
+function convertFunction(func) {
+    const {base, property, stops} = func;
+    const input = (
+        undefined === property
+        ? ["zoom"]
+        : ["get", property]
+    );
+
+    if ("identity" === func.type) {
+        return input;
+    }
+    if (stops.some((stop) => "object" === typeof stop[0])) {
+        throw err("Unsupported function", "zoom and property stops");
+    }
+
+    const flat = [].concat(...stops);
+    const interpolatable = (
+        "number" === typeof stops[0][1] ||
+        Array.isArray(stops[0][1]) ||
+        undefined !== parseColor(stops[0][1])
+    );
+    const type = func.type || (
+        interpolatable
+        ? "exponential"
+        : "interval"
+    );
+
+    if ("categorical" === type) {
+        return ["match", input, ...flat, (
+            undefined === func.default
+            ? null
+            : func.default
+        )];
+    }
+    if ("interval" === type) {
+        return ["step", input, stops[0][1], ...flat.slice(2)];
+    }
+    return ["interpolate", ["exponential", base || 1], input, ...flat];
+}
+
+// Call the compiler, naming the path of the value in errors if given.
+function compileAt(compiler, value, path) {
+    if (undefined === path) {
+        return compiler(value);
+    }
+
+    let compiled;
+    let error;
+    try {
+        compiled = compiler(value);
+    } catch (exc) {
+        error = exc;
+    }
+    if (error) {
+        throw err("Invalid expression", path, error.message);
+    }
+    return compiled;
+}
+
+// Compile a filter, which may use the legacy syntax.
+function compileFilter(filter, path) {
+    if (undefined === filter) {
+        return () => true;
+    }
+    const compiled = compileAt(
+        (value) => compile(convertFilter(value)),
+        filter,
+        path
+    );
+    return (feature, zoom) => Boolean(compiled(feature, zoom));
+}
+
+// Compile a property value, which may be a constant, a legacy property
+// function or an expression.
+function compileValue(value) {
+    if (value && "object" === typeof value && !Array.isArray(value)) {
+        return compile(convertFunction(value));
+    }
+    if (Array.isArray(value) && "string" !== typeof value[0]) {
+        // A constant array such as a dash array.
+        return () => value;
+    }
+    return compile(value);
+}
+
+function isPlainObject(value) {
+    return (
+        null !== value &&
+        "object" === typeof value &&
+        Object.getPrototypeOf(value) === Object.prototype
+    );
+}
+
+// Style properties holding constant arrays, which may start with a string
+// but are never expressions.
+const constantArrayKeys = ["dashArray", "strokeGradient"];
+
+// Return whether the value is an expression or a legacy property function
+// rather than a constant. Constant arrays such as dash arrays don't start
+// with a string.
+function isExpression(value) {
+    if (Array.isArray(value)) {
+        return "string" === typeof value[0];
+    }
+    return isPlainObject(value) && (
+        Array.isArray(value.stops) || "identity" === value.type
+    );
+}
+
+function hasExpression(value) {
+    return isExpression(value) || (
+        isPlainObject(value) &&
+        Object.keys(value).some(
+            (key) => (
+                !constantArrayKeys.includes(key) &&
+                hasExpression(value[key])
+            )
+        )
+    );
+}
+
+// Compile a style object whose properties, including those of nested
+// objects, may be expressions into a function of a vector-tile feature
+// and a zoom level returning the evaluated style. Styles without
+// expressions are returned as they are. Errors name the path of the
+// offending property, starting with the given path.
+function compileStyle(style, path) {
+    if (!hasExpression(style)) {
+        return () => style;
+    }
+
+    const constant = {};
+    const compiled = {};
+    Object.keys(style).forEach(function (key) {
+        const value = style[key];
+        const valuePath = `${path}.${key}`;
+
+        if (constantArrayKeys.includes(key)) {
+            constant[key] = value;
+        } else if (isExpression(value)) {
+            compiled[key] = compileAt(compileValue, value, valuePath);
+        } else if (hasExpression(value)) {
+            compiled[key] = compileStyle(value, valuePath);
+        } else {
+            constant[key] = value;
+        }
+    });
+
+    const keys = Object.keys(compiled);
+    return function (feature, zoom) {
+        const result = Object.assign({}, constant);
+        keys.forEach(function (key) {
+            result[key] = compiled[key](feature, zoom);
+        });
+        return result;
+    };
+}
+
+export {compileFilter, compileStyle, compileValue, parseColor};
@@ -30,13 +30,17 @@
  */
 
 /*property
-    _map, addClass, addInteractiveTarget, addTo, applyOptions, bbox, className,
-    color, create, dashArray, dashOffset, feature, fill, fillColor, fillOpacity,
-    fillRule, graphics, hidden, icon, iconAnchor, iconSize, iconUrl,
-    interactive, layerName, lineCap, lineJoin, loadGeometry, map, opacity,
-    options, pointsToPath, properties, prototype, radius, removeAttribute,
-    removeClass, removeFrom, removeInteractiveTarget, scaleBy, scalePoint,
-    setAttribute, setStyle, stroke, type, types, weight, x, y
+    _map, addClass, addInteractiveTarget, addTo, appendChild, applyOptions,
+    bbox, bottom, box, center, className, color, create, dashArray, dashOffset,
+    feature, fill, fillColor, fillOpacity, fillPattern, fillRule, font,
+    fontSize, getCenter, gradient, graphics, haloColor, haloWidth, hidden, icon,
+    iconAnchor, iconSize, iconUrl, interactive, key, layerName, left, lineCap,
+    lineJoin, loadGeometry, map, middle, opacity, options, pattern, placement,
+    pointsToPath, priority, properties, prototype, radius, removeAttribute,
+    removeClass, removeFrom, removeInteractiveTarget, right, scaleBy,
+    scalePoint, setAttribute, setPaintServers, setStyle, setSuppressed,
+    simplify, stroke, strokeGradient, textAnchor, textColor, textContent,
+    textOffset, top, type, types, weight, x, y
 */
 
 import {
@@ -52,6 +56,18 @@ import {
 } from "leaflet";
 
 import {VectorTileFeature} from "@mapbox/vector-tile";
+import {gradientLine} from "./PaintServer.js";
+import {simplifyRings} from "./Geometry.js";
+import {
+    isLabelStyle,
+    labelAlignment,
+    labelBox,
+    labelLine,
+    labelOptions,
+    labelText,
+    lineLabelBox,
+    placementPriority
+} from "./Label.js";
 
 function featureLayerBase(feature, layerName, pxPerExtent, options) {
     const self = new Layer(options);
@@ -64,16 +80,22 @@ function featureLayerBase(feature, layerName, pxPerExtent, options) {
 
     /*
      * FeatureLayers only serve as event targets and are never actually
-     * "added" to the map, so we override the base class's addTo.
+     * "added" to the map, so we override the base class's addTo. Layers
+     * drawn on a canvas have no graphics and receive their events from the
+     * tile instead.
      */
     self.addTo = function addTo(map) {
         // Required by addInteractiveTarget.
         self._map = map;
-        self.addInteractiveTarget(self.graphics);
+        if (self.graphics) {
+            self.addInteractiveTarget(self.graphics);
+        }
     };
 
     self.removeFrom = function removeFrom() {
-        self.removeInteractiveTarget(self.graphics);
+        if (self.graphics) {
+            self.removeInteractiveTarget(self.graphics);
+        }
         delete self._map;
     };
 
@@ -81,6 +103,16 @@ function featureLayerBase(feature, layerName, pxPerExtent, options) {
         return point(p).scaleBy(pxPerExtent);
     };
 
+    // Hide the feature layer regardless of its style, for example to avoid
+    // overlapping labels.
+    self.setSuppressed = function setSuppressed(suppressed) {
+        if (suppressed) {
+            self.graphics.setAttribute("display", "none");
+        } else {
+            self.graphics.removeAttribute("display");
+        }
+    };
+
     self.bbox = function bbox() {
         const [x0, y0, x1, y1] = feature.bbox();
         return bounds(self.scalePoint([x0, y0]), self.scalePoint([x1, y1]));
@@ -88,7 +120,7 @@ function featureLayerBase(feature, layerName, pxPerExtent, options) {
 
     // Configure this feature layer for its options at a basic level.
     self.applyOptions = function applyOptions(options) {
-        if (options.className) {
+        if (options.className && self.graphics) {
             DomUtil.addClass(self.graphics, options.className);
         }
         // Apply style based on options alone with no overrides.
@@ -121,7 +153,9 @@ function applyBasicStyle(element, style) {
 }
 export {applyBasicStyle};
 
-function applyPathStyle(path, style) {
+// Patterned fills and gradient strokes require the paint servers of the
+// tile and, for gradients, the start and end points of the line.
+function applyPathStyle(path, style, paintServers, line) {
     if (style.stroke) {
         path.setAttribute("stroke", style.color);
         path.setAttribute("stroke-opacity", style.opacity);
@@ -152,6 +186,15 @@ function applyPathStyle(path, style) {
         path.setAttribute("fill", "none");
     }
 
+    if (paintServers) {
+        if (style.fill && style.fillPattern) {
+            path.setAttribute("fill", paintServers.pattern(style));
+        }
+        if (style.stroke && style.strokeGradient && line) {
+            path.setAttribute("stroke", paintServers.gradient(style, line));
+        }
+    }
+
     return path;
 }
 export {applyPathStyle};
@@ -165,6 +208,36 @@ function applyImageStyle(image, style) {
 }
 export {applyImageStyle};
 
+const textAnchors = {center: "middle", left: "start", right: "end"};
+const dominantBaselines = {
+    bottom: "ideographic",
+    middle: "central",
+    top: "hanging"
+};
+
+function applyLabelStyle(text, style) {
+    const [horizontal, vertical] = labelAlignment(style.textAnchor);
+
+    text.setAttribute("font-family", style.font);
+    text.setAttribute("font-size", style.fontSize);
+    text.setAttribute("fill", style.textColor);
+    text.setAttribute("dx", style.textOffset[0]);
+    text.setAttribute("dy", style.textOffset[1]);
+    text.setAttribute("text-anchor", textAnchors[horizontal]);
+    text.setAttribute("dominant-baseline", dominantBaselines[vertical]);
+
+    // The halo is a stroke drawn beneath the text.
+    if (0 < style.haloWidth) {
+        text.setAttribute("stroke", style.haloColor);
+        text.setAttribute("stroke-width", 2 * style.haloWidth);
+        text.setAttribute("stroke-linejoin", "round");
+        text.setAttribute("paint-order", "stroke");
+    } else {
+        text.setAttribute("stroke", "none");
+    }
+}
+export {applyLabelStyle};
+
 function featureCircleLayer(feature, layerName, pxPerExtent, options) {
     options = extend({}, CircleMarker.prototype.options, options);
     const self = featureLayerBase(feature, layerName, pxPerExtent, options);
@@ -201,17 +274,31 @@ function featurePathLayer(feature, layerName, pxPerExtent, options) {
 
     const self = featureLayerBase(feature, layerName, pxPerExtent, options);
 
-    const geometry = feature.loadGeometry();
+    const rings = simplifyRings(
+        feature.loadGeometry().map((ring) => ring.map(self.scalePoint)),
+        options.simplify,
+        "Polygon" === featureType
+    );
+    const line = gradientLine(rings);
+    let m_paintServers;
+    let m_style = options;
+
     self.graphics = SVG.create("path");
     self.graphics.setAttribute("d", SVG.pointsToPath(
-        geometry.map((ring) => ring.map(self.scalePoint)),
+        rings,
         "Polygon" === featureType
     ));
 
     self.setStyle = function setStyle(style) {
-        style = extend({}, options, style);
-        applyBasicStyle(self.graphics, style);
-        applyPathStyle(self.graphics, style);
+        m_style = extend({}, options, style);
+        applyBasicStyle(self.graphics, m_style);
+        applyPathStyle(self.graphics, m_style, m_paintServers, line);
+    };
+
+    // Patterns and gradients are defined by the tile.
+    self.setPaintServers = function setPaintServers(paintServers) {
+        m_paintServers = paintServers;
+        applyPathStyle(self.graphics, m_style, m_paintServers, line);
     };
 
     self.applyOptions(options);
@@ -222,11 +309,12 @@ export {featurePathLayer};
 
 function featureIconLayer(feature, layerName, pxPerExtent, options) {
     const self = featureLayerBase(feature, layerName, pxPerExtent, options);
+    let m_style = options;
 
     self.setStyle = function setStyle(style) {
-        style = extend({}, options, style);
-        applyBasicStyle(self.graphics, style);
-        applyImageStyle(self.graphics, style);
+        m_style = extend({}, options, style);
+        applyBasicStyle(self.graphics, m_style);
+        applyImageStyle(self.graphics, m_style);
     };
 
     self.graphics = SVG.create("image");
@@ -236,13 +324,103 @@ function featureIconLayer(feature, layerName, pxPerExtent, options) {
     self.graphics.setAttribute("x", pos.x - anchor[0]);
     self.graphics.setAttribute("y", pos.y - anchor[1]);
 
+    self.placement = function placement() {
+        const {hidden, icon} = m_style;
+        if (hidden || !icon || !icon.options.iconSize) {
+            return;
+        }
+        const [width, height] = icon.options.iconSize;
+        const x = pos.x - anchor[0];
+        const y = pos.y - anchor[1];
+        return {
+            box: [x, y, x + width, y + height],
+            priority: placementPriority(feature.properties, m_style)
+        };
+    };
+
     self.applyOptions(options);
 
     return self;
 }
 export {featureIconLayer};
 
+// Paths followed by labels need a unique id.
+let labelPathId = 0;
+
+function featureLabelLayer(feature, layerName, pxPerExtent, options) {
+    options = extend({}, labelOptions, options);
+    const self = featureLayerBase(feature, layerName, pxPerExtent, options);
+    const featureType = VectorTileFeature.types[feature.type];
+
+    self.graphics = SVG.create("g");
+    const text = SVG.create("text");
+    let content = text;
+    let m_style = options;
+    let line;
+    let pos;
+
+    if ("LineString" === featureType) {
+        line = labelLine(feature.loadGeometry()).map(self.scalePoint);
+        const path = SVG.create("path");
+        labelPathId += 1;
+        path.setAttribute("id", `vector-tile-label-${labelPathId}`);
+        path.setAttribute("d", SVG.pointsToPath([line], false));
+        path.setAttribute("fill", "none");
+        self.graphics.appendChild(path);
+
+        content = SVG.create("textPath");
+        content.setAttribute("href", `#vector-tile-label-${labelPathId}`);
+        content.setAttribute("startOffset", "50%");
+        text.appendChild(content);
+    } else {
+        pos = (
+            "Point" === featureType
+            ? self.scalePoint(feature.loadGeometry()[0][0])
+            : self.bbox().getCenter()
+        );
+        text.setAttribute("x", pos.x);
+        text.setAttribute("y", pos.y);
+    }
+    self.graphics.appendChild(text);
+
+    self.setStyle = function setStyle(style) {
+        m_style = extend({}, options, style);
+        applyBasicStyle(self.graphics, m_style);
+        applyLabelStyle(text, m_style);
+        if (line) {
+            // Text following a line is centred on it.
+            text.setAttribute("text-anchor", "middle");
+        }
+        content.textContent = labelText(feature.properties, m_style);
+    };
+
+    self.placement = function placement() {
+        const labelString = labelText(feature.properties, m_style);
+        if (m_style.hidden || !labelString) {
+            return;
+        }
+        return {
+            box: (
+                line
+                ? lineLabelBox(line, labelString, m_style)
+                : labelBox(pos, labelString, m_style)
+            ),
+            key: labelString,
+            priority: placementPriority(feature.properties, m_style)
+        };
+    };
+
+    self.applyOptions(options);
+
+    return self;
+}
+export {featureLabelLayer};
+
 function defaultFeatureLayer(feature, layerName, pxPerExtent, options) {
+    if (isLabelStyle(options)) {
+        return featureLabelLayer(feature, layerName, pxPerExtent, options);
+    }
+
     switch (VectorTileFeature.types[feature.type]) {
     case "Point":
         if (options.icon) {
@@ -30,31 +30,27 @@
  */
 
 /*property
-    add, addFeatureLayer, addVectorTile, appendChild, coords, create, divideBy,
-    domElement, eachFeatureLayer, extent, feature, featureToLayer, forEach,
-    freeze, getFeatureStyle, getOrderedLayers, getTileSize, global, graphics,
-    keys, layers, length, push, scaleBy, setAttribute, x, y, z
+    add, addFeatureLayer, addPlaceholder, addVectorTile, clear,
+    clearPlaceholders, coords, divideBy, domElement, eachFeatureLayer, extent,
+    feature, featureToLayer, forEach, freeze, getFeatureStyle, getOrderedLayers,
+    getTileSize, global, isFeatureTooSmall, keys, layers, length, multiplyBy,
+    push, removeFeatureLayer, scaleBy, setHovered, setOverflow, splice,
+    subtract, tileSize, z
 */
 
-import {SVG} from "leaflet";
-
-export default Object.freeze(function featureTile(coords, layer) {
+export default Object.freeze(function featureTile(coords, layer, renderer) {
     const self = {};
     const m_tileSize = layer.getTileSize();
-    const m_svg = SVG.create("svg");
-    const m_rootGroup = SVG.create("g");
+    const m_renderer = renderer(m_tileSize, coords.scaleBy(m_tileSize));
     const m_layers = [];
 
-    m_svg.setAttribute("viewBox", `0 0 ${m_tileSize.x} ${m_tileSize.y}`);
-    m_svg.appendChild(m_rootGroup);
-
     function addFeature(feature, layerName, pxPerExtent) {
         const featureStyle = layer.getFeatureStyle(
             feature,
             layerName,
             coords.z
         );
-        if (!featureStyle) {
+        if (!featureStyle || layer.isFeatureTooSmall(feature, pxPerExtent)) {
             return;
         }
 
@@ -65,10 +61,10 @@ export default Object.freeze(function featureTile(coords, layer) {
             featureStyle
         );
 
-        m_rootGroup.appendChild(ftrLyr.graphics);
+        m_renderer.addFeatureLayer(ftrLyr);
 
         m_layers.push(ftrLyr);
-        layer.addFeatureLayer(ftrLyr);
+        layer.addFeatureLayer(ftrLyr, self);
     }
 
     self.addVectorTile = function addVectorTile(vectorTile) {
@@ -88,6 +84,60 @@ export default Object.freeze(function featureTile(coords, layer) {
                 i += 1;
             }
         });
+        self.clearPlaceholders();
+
+        return self;
+    };
+
+    self.clearPlaceholders = function clearPlaceholders() {
+        m_renderer.clearPlaceholders();
+
+        return self;
+    };
+
+    // Show the other tile, scaled to this tile's zoom level, until the
+    // vector tile has been added.
+    self.addPlaceholder = function addPlaceholder(other) {
+        const scale = 2 ** (coords.z - other.coords().z);
+        const size = other.tileSize().multiplyBy(scale);
+
+        m_renderer.addPlaceholder(
+            other.domElement(),
+            other.coords().scaleBy(size).subtract(
+                coords.scaleBy(m_tileSize)
+            ),
+            size
+        );
+
+        return self;
+    };
+
+    // Make the feature layer the one under the mouse without firing
+    // events, for example after it replaced another one showing the same
+    // feature. Only renderers tracking the mouse themselves need this.
+    self.setHovered = function setHovered(featureLayer) {
+        if (m_renderer.setHovered) {
+            m_renderer.setHovered(featureLayer);
+        }
+
+        return self;
+    };
+
+    // Draw the given feature layers of neighbouring tiles, offset by the
+    // difference of the tiles' positions, see LabelPlacement.js.
+    self.setOverflow = function setOverflow(overflow) {
+        m_renderer.setOverflow(overflow);
+
+        return self;
+    };
+
+    // Remove all feature layers, for example before adding a new version
+    // of the vector tile.
+    self.clear = function clear() {
+        m_layers.splice(0).forEach(
+            (ftrLyr) => layer.removeFeatureLayer(ftrLyr)
+        );
+        m_renderer.clear();
 
         return self;
     };
@@ -96,8 +146,9 @@ export default Object.freeze(function featureTile(coords, layer) {
     self.eachFeatureLayer = (func) => m_layers.forEach(
         (...args) => func(...args, self)
     );
-    self.domElement = () => m_svg;
+    self.domElement = () => m_renderer.domElement();
     self.coords = () => coords;
+    self.tileSize = () => m_tileSize;
 
     return self;
 });
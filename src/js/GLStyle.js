@@ -0,0 +1,282 @@
+/*
+ * Copyright 2026, agent <agent@local>
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ *   1. Redistributions of source code must retain the above copyright
+ *      notice, this list of conditions and the following disclaimer.
+ *
+ *   2. Redistributions in binary form must reproduce the above copyright
+ *      notice, this list of conditions and the following disclaimer in the
+ *      documentation and/or other materials provided with the
+ *      distribution.
+ *
+ *   3. Neither the name of the copyright holder nor the names of its
+ *      contributors may be used to endorse or promote products derived
+ *      from this software without specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS"
+ * AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE
+ * IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE
+ * ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT HOLDER OR CONTRIBUTORS BE
+ * LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR
+ * CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF
+ * SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS
+ * INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN
+ * CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE)
+ * ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE
+ * POSSIBILITY OF SUCH DAMAGE.
+ */
+
+/*property
+    assign, call, circle, color, dashArray, featureTypes, fill, fillColor,
+    fillOpacity, filter, find, forEach, freeze, hasOwnProperty, id, includes,
+    join, keys, layer, layers, layout, length, line, lineCap, lineJoin, map,
+    maxzoom, message, minzoom, opacity, paint, property, prototype, push,
+    radius, reason, some, source, sources, stroke, style, type, unsupported,
+    visibility, visible, weight, zoomOffset
+*/
+
+import {compileFilter, compileValue} from "./Expression.js";
+
+/*
+ * Translate a Mapbox GL or MapLibre style document into the `filter`,
+ * `layers` and `style` options of a VectorTileLayer. Only `fill`, `line`
+ * and `circle` layers of a single vector source are rendered. The styles of
+ * all style layers matching a feature are merged in order, so that fill
+ * layers provide the fill and line layers the stroke. Everything that
+ * can't be represented is listed in `unsupported`.
+ */
+
+// Zoom levels of style documents refer to 512 pixel tiles and are one less
+// than those of a Leaflet map with 256 pixel tiles.
+const defaultZoomOffset = -1;
+
+// Paint and layout properties for each supported layer type with their
+// default values.
+const layerProperties = {
+    circle: {
+        "circle-color": "#000000",
+        "circle-opacity": 1,
+        "circle-radius": 5,
+        "circle-stroke-color": "#000000",
+        "circle-stroke-opacity": 1,
+        "circle-stroke-width": 0
+    },
+    fill: {
+        "fill-color": "#000000",
+        "fill-opacity": 1,
+        "fill-outline-color": undefined
+    },
+    line: {
+        "line-cap": "butt",
+        "line-color": "#000000",
+        "line-dasharray": undefined,
+        "line-join": "miter",
+        "line-opacity": 1,
+        "line-width": 1
+    }
+};
+
+// The vector-tile feature types drawn by each layer type.
+const layerFeatureTypes = {
+    circle: [1],
+    fill: [3],
+    line: [2, 3]
+};
+
+// Convert evaluated paint and layout properties to a style object.
+const styleBuilders = {
+    circle: (p) => ({
+        color: p["circle-stroke-color"],
+        fill: true,
+        fillColor: p["circle-color"],
+        fillOpacity: p["circle-opacity"],
+        opacity: p["circle-stroke-opacity"],
+        radius: p["circle-radius"],
+        stroke: 0 < p["circle-stroke-width"],
+        weight: p["circle-stroke-width"]
+    }),
+    fill: (p) => Object.assign({
+        fill: true,
+        fillColor: p["fill-color"],
+        fillOpacity: p["fill-opacity"]
+    }, (
+        undefined === p["fill-outline-color"]
+        ? {}
+        : {
+            color: p["fill-outline-color"],
+            opacity: p["fill-opacity"],
+            stroke: true,
+            weight: 1
+        }
+    )),
+    line: (p) => ({
+        color: p["line-color"],
+        dashArray: p["line-dasharray"] && p["line-dasharray"].map(
+            (dash) => dash * p["line-width"]
+        ).join(" "),
+        lineCap: p["line-cap"],
+        lineJoin: p["line-join"],
+        opacity: p["line-opacity"],
+        stroke: true,
+        weight: p["line-width"]
+    })
+};
+
+// Return the name of the first vector source.
+function defaultSource(sources) {
+    return Object.keys(sources || {}).find(
+        (name) => "vector" === sources[name].type
+    );
+}
+
+export default Object.freeze(function glStyle(definition, options) {
+    const source = (
+        (options && options.source) ||
+        defaultSource(definition.sources)
+    );
+    const zoomOffset = (
+        (options && undefined !== options.zoomOffset)
+        ? options.zoomOffset
+        : defaultZoomOffset
+    );
+    const unsupported = [];
+
+    // Style layers indexed by source layer.
+    const sourceLayers = {};
+    const layers = [];
+
+    function report(layer, property, reason) {
+        unsupported.push({layer: layer.id, property, reason});
+    }
+
+    // Compile a style property, reporting those that can't be evaluated.
+    function compileProperty(layer, property, value) {
+        try {
+            return compileValue(value);
+        } catch (exc) {
+            report(layer, property, exc.message);
+        }
+    }
+
+    function compileLayer(layer) {
+        const defaults = layerProperties[layer.type];
+        const layout = layer.layout || {};
+        const properties = {};
+        let filter;
+
+        try {
+            filter = compileFilter(layer.filter);
+        } catch (exc) {
+            report(layer, "filter", exc.message);
+            return;
+        }
+
+        [layout, layer.paint || {}].forEach(function (values) {
+            Object.keys(values).forEach(function (property) {
+                if ("visibility" === property) {
+                    return;
+                }
+                if (
+                    !Object.prototype.hasOwnProperty.call(defaults, property)
+                ) {
+                    report(layer, property, "Unsupported property");
+                    return;
+                }
+                const compiled = compileProperty(
+                    layer,
+                    property,
+                    values[property]
+                );
+                if (compiled) {
+                    properties[property] = compiled;
+                }
+            });
+        });
+
+        return {
+            featureTypes: layerFeatureTypes[layer.type],
+            filter,
+            maxzoom: layer.maxzoom,
+            minzoom: layer.minzoom,
+            style: function (feature, zoom) {
+                const values = Object.assign({}, defaults);
+                Object.keys(properties).forEach(function (property) {
+                    const value = properties[property](feature, zoom);
+                    if (null !== value && undefined !== value) {
+                        values[property] = value;
+                    }
+                });
+                return styleBuilders[layer.type](values);
+            },
+            visible: "none" !== layout.visibility
+        };
+    }
+
+    const styleLayers = definition.layers || [];
+    styleLayers.forEach(function (layer) {
+        if (!layerProperties[layer.type]) {
+            report(layer, "type", `Unsupported layer type ${layer.type}`);
+            return;
+        }
+        if (source !== layer.source) {
+            report(layer, "source", `Unsupported source ${layer.source}`);
+            return;
+        }
+
+        const compiled = compileLayer(layer);
+        if (!compiled) {
+            return;
+        }
+
+        const name = layer["source-layer"];
+        if (!sourceLayers[name]) {
+            sourceLayers[name] = [];
+            layers.push(name);
+        }
+        sourceLayers[name].push(compiled);
+    });
+
+    // Return the style layers of a source layer.
+    function candidates(layerName) {
+        return sourceLayers[layerName] || [];
+    }
+
+    // Return whether the style layer draws the feature at the given style
+    // zoom level.
+    function drawsFeature(layer, feature, zoom) {
+        return (
+            layer.visible &&
+            !(zoom < layer.minzoom) &&
+            !(layer.maxzoom <= zoom) &&
+            layer.featureTypes.includes(feature.type) &&
+            layer.filter(feature, zoom)
+        );
+    }
+
+    return {
+        filter: (feature, layerName, zoom) => candidates(layerName).some(
+            (layer) => drawsFeature(layer, feature, zoom + zoomOffset)
+        ),
+        layers,
+
+        // Merge the styles of the matching style layers in order. Without
+        // a fill or line layer, features have no fill or stroke.
+        style: function (feature, layerName, zoom) {
+            const styleZoom = zoom + zoomOffset;
+            const matching = candidates(layerName).filter(
+                (layer) => drawsFeature(layer, feature, styleZoom)
+            );
+            if (0 === matching.length) {
+                return;
+            }
+            return Object.assign(
+                {fill: false, stroke: false},
+                ...matching.map((layer) => layer.style(feature, styleZoom))
+            );
+        },
+        unsupported
+    };
+});
@@ -0,0 +1,343 @@
+/*
+ * Copyright 2026, agent <agent@local>
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ *   1. Redistributions of source code must retain the above copyright
+ *      notice, this list of conditions and the following disclaimer.
+ *
+ *   2. Redistributions in binary form must reproduce the above copyright
+ *      notice, this list of conditions and the following disclaimer in the
+ *      documentation and/or other materials provided with the
+ *      distribution.
+ *
+ *   3. Neither the name of the copyright holder nor the names of its
+ *      contributors may be used to endorse or promote products derived
+ *      from this software without specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS"
+ * AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE
+ * IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE
+ * ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT HOLDER OR CONTRIBUTORS BE
+ * LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR
+ * CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF
+ * SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS
+ * INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN
+ * CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE)
+ * ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE
+ * POSSIBILITY OF SUCH DAMAGE.
+ */
+
+/*property
+    PI, add, addData, assign, atan, bbox, bounds, buffer, clear, concat,
+    coordinates, extend, extent, feature, features, filter, fire, floor,
+    forEach, freeze, geometries, geometry, get, getTile, id, indexMaxZoom, keys,
+    layerName, layers, length, log, map, max, min, pack, properties, push,
+    reduce, removeData, resolve, reverse, round, set, setData, sin, sinh, some,
+    type, x, y, z
+*/
+
+import {Evented, Util, latLng, latLngBounds} from "leaflet";
+import {
+    clipGeometry,
+    containsPoint,
+    intersects,
+    ringArea,
+    ringsBbox
+} from "./Geometry.js";
+import {layerPacker, unpackVectorTile} from "./PackedTile.js";
+
+/*
+ * Slice GeoJSON data into vector tiles on the fly, in the spirit of
+ * geojson-vt. Coordinates are projected to the unit square using the
+ * spherical Mercator projection, so this only works with maps using the
+ * default CRS. Like geojson-vt, the features of each tile are clipped from
+ * those of its parent tile, and the tiles up to indexMaxZoom are kept as
+ * an index so that deeper tiles only need to look at a few features.
+ */
+
+const defaultOptions = {
+    buffer: 64,
+    extent: 4096,
+    indexMaxZoom: 5,
+    layerName: "geojson"
+};
+
+// Feature types as used by vector tiles.
+const pointType = 1;
+const lineStringType = 2;
+const polygonType = 3;
+
+function project(coordinates) {
+    const sin = Math.sin(coordinates[1] * Math.PI / 180);
+    const y = 0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI);
+    return {
+        x: coordinates[0] / 360 + 0.5,
+        y: Math.min(Math.max(y, 0), 1)
+    };
+}
+
+function unproject(p) {
+    return latLng(
+        Math.atan(Math.sinh(Math.PI * (1 - 2 * p.y))) * 180 / Math.PI,
+        (p.x - 0.5) * 360
+    );
+}
+
+// Project a polygon, making sure that the exterior ring is clockwise and
+// holes are counter-clockwise as required by vector tiles.
+function projectPolygon(polygon) {
+    return polygon.map(function (coordinates, idx) {
+        const ring = coordinates.map(project);
+        const clockwise = 0 < ringArea(ring);
+        if ((0 === idx && !clockwise) || (0 !== idx && clockwise)) {
+            ring.reverse();
+        }
+        return ring;
+    });
+}
+
+// Return a list of vector tile types and projected geometries.
+function geometries(geometry) {
+    if (!geometry) {
+        return [];
+    }
+
+    const {coordinates, type} = geometry;
+    switch (type) {
+    case "Point":
+        return [{geometry: [[project(coordinates)]], type: pointType}];
+    case "MultiPoint":
+        return [{
+            geometry: coordinates.map((point) => [project(point)]),
+            type: pointType
+        }];
+    case "LineString":
+        return [{
+            geometry: [coordinates.map(project)],
+            type: lineStringType
+        }];
+    case "MultiLineString":
+        return [{
+            geometry: coordinates.map((line) => line.map(project)),
+            type: lineStringType
+        }];
+    case "Polygon":
+        return [{geometry: projectPolygon(coordinates), type: polygonType}];
+    case "MultiPolygon":
+        return [{
+            geometry: coordinates.reduce(
+                (rings, polygon) => rings.concat(projectPolygon(polygon)),
+                []
+            ),
+            type: polygonType
+        }];
+    case "GeometryCollection":
+        return geometry.geometries.reduce(
+            (result, part) => result.concat(geometries(part)),
+            []
+        );
+    default:
+        throw new Error(`Unknown geometry type: ${type}`);
+    }
+}
+
+// Return the entries clipped to the bounding box. Entries lying entirely
+// inside it are returned as they are.
+function clipEntries(entries, bbox) {
+    return entries.reduce(function (result, entry) {
+        if (!intersects(entry.bbox, bbox)) {
+            return result;
+        }
+        if (
+            containsPoint(bbox, {x: entry.bbox[0], y: entry.bbox[1]}) &&
+            containsPoint(bbox, {x: entry.bbox[2], y: entry.bbox[3]})
+        ) {
+            result.push(entry);
+            return result;
+        }
+
+        const geometry = clipGeometry(entry.type, entry.geometry, bbox);
+        if (0 !== geometry.length) {
+            result.push(Object.assign({}, entry, {
+                bbox: ringsBbox(geometry),
+                geometry
+            }));
+        }
+        return result;
+    }, []);
+}
+
+// Return the list of features in a GeoJSON object.
+function geoJSONFeatures(geojson) {
+    switch (geojson.type) {
+    case "FeatureCollection":
+        return geojson.features;
+    case "Feature":
+        return [geojson];
+    default:
+        return [{geometry: geojson, properties: {}, type: "Feature"}];
+    }
+}
+
+export default Object.freeze(function geoJSONSource(geojson, options) {
+    const self = new Evented();
+    const m_index = new Map();
+    let m_entries = [];
+
+    options = Util.extend({}, defaultOptions, options);
+
+    function layerName(feature) {
+        return (
+            "function" === typeof options.layerName
+            ? options.layerName(feature)
+            : options.layerName
+        );
+    }
+
+    // Return the entries for the features in a GeoJSON object.
+    function entries(data) {
+        return geoJSONFeatures(data).reduce(function (result, feature) {
+            return result.concat(geometries(feature.geometry).map(
+                (part) => ({
+                    bbox: ringsBbox(part.geometry),
+                    feature,
+                    geometry: part.geometry,
+                    layerName: layerName(feature),
+                    properties: feature.properties || {},
+                    type: part.type
+                })
+            ));
+        }, []);
+    }
+
+    // Return the buffered bounding box of a tile in the unit square.
+    function unitBbox(z, x, y) {
+        const scale = 2 ** z;
+        const pad = options.buffer / options.extent;
+        return [
+            (x - pad) / scale,
+            (y - pad) / scale,
+            (x + 1 + pad) / scale,
+            (y + 1 + pad) / scale
+        ];
+    }
+
+    // Return the entries of a tile clipped to its buffered bounds. They
+    // are clipped from the entries of the parent tile, or of the ancestor
+    // at indexMaxZoom for deeper tiles, which are kept in the index.
+    function tileEntries(z, x, y) {
+        const key = `${z}/${x}/${y}`;
+        let result = m_index.get(key);
+        if (!result) {
+            let parent = m_entries;
+            if (0 !== z) {
+                const parentZoom = Math.min(z - 1, options.indexMaxZoom);
+                const scale = 2 ** (z - parentZoom);
+                parent = tileEntries(
+                    parentZoom,
+                    Math.floor(x / scale),
+                    Math.floor(y / scale)
+                );
+            }
+            result = clipEntries(parent, unitBbox(z, x, y));
+            if (z <= options.indexMaxZoom) {
+                m_index.set(key, result);
+            }
+        }
+        return result;
+    }
+
+    // Drop the index and let listeners know about the area affected by
+    // some entries.
+    function change(changed) {
+        m_index.clear();
+        if (0 === changed.length) {
+            return;
+        }
+        const bbox = ringsBbox(changed.map(
+            (entry) => [
+                {x: entry.bbox[0], y: entry.bbox[1]},
+                {x: entry.bbox[2], y: entry.bbox[3]}
+            ]
+        ));
+        self.fire("change", {
+            bounds: latLngBounds(
+                unproject({x: bbox[0], y: bbox[3]}),
+                unproject({x: bbox[2], y: bbox[1]})
+            )
+        });
+    }
+
+    // Add the features in a GeoJSON object.
+    self.addData = function addData(data) {
+        const added = entries(data);
+        m_entries = m_entries.concat(added);
+        change(added);
+
+        return self;
+    };
+
+    // Remove features that were previously added, identified either by
+    // the same object or by the same id.
+    self.removeData = function removeData(data) {
+        const features = geoJSONFeatures(data);
+        const matches = (entry) => features.some(
+            (feature) => feature === entry.feature || (
+                undefined !== feature.id &&
+                feature.id === entry.feature.id
+            )
+        );
+
+        const removed = m_entries.filter(matches);
+        m_entries = m_entries.filter((entry) => !matches(entry));
+        change(removed);
+
+        return self;
+    };
+
+    // Replace all features.
+    self.setData = function setData(data) {
+        const removed = m_entries;
+        m_entries = entries(data);
+        change(removed.concat(m_entries));
+
+        return self;
+    };
+
+    self.getTile = function getTile(coords) {
+        const {extent} = options;
+        const scale = 2 ** coords.z;
+        const packers = {};
+
+        // Convert from the unit square to tile coordinates.
+        const toTile = (p) => ({
+            x: Math.round((p.x * scale - coords.x) * extent),
+            y: Math.round((p.y * scale - coords.y) * extent)
+        });
+
+        tileEntries(coords.z, coords.x, coords.y).forEach(function (entry) {
+            const geometry = entry.geometry.map((ring) => ring.map(toTile));
+
+            if (!packers[entry.layerName]) {
+                packers[entry.layerName] = layerPacker(entry.layerName, extent);
+            }
+            packers[entry.layerName].add({
+                id: entry.feature.id,
+                properties: entry.properties,
+                type: entry.type
+            }, geometry);
+        });
+
+        return Promise.resolve(unpackVectorTile({
+            layers: Object.keys(packers).map((name) => packers[name].pack())
+        }));
+    };
+
+    if (geojson) {
+        self.addData(geojson);
+    }
+
+    return self;
+});
@@ -0,0 +1,612 @@
+/*
+ * Copyright 2026, agent <agent@local>
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ *   1. Redistributions of source code must retain the above copyright
+ *      notice, this list of conditions and the following disclaimer.
+ *
+ *   2. Redistributions in binary form must reproduce the above copyright
+ *      notice, this list of conditions and the following disclaimer in the
+ *      documentation and/or other materials provided with the
+ *      distribution.
+ *
+ *   3. Neither the name of the copyright holder nor the names of its
+ *      contributors may be used to endorse or promote products derived
+ *      from this software without specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS"
+ * AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE
+ * IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE
+ * ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT HOLDER OR CONTRIBUTORS BE
+ * LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR
+ * CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF
+ * SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS
+ * INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN
+ * CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE)
+ * ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE
+ * POSSIBILITY OF SUCH DAMAGE.
+ */
+
+/*property
+    add, concat, filter, find, forEach, get, has, hypot, length, map, max, min,
+    pop, push, reduce, reverse, set, sign, slice, some, sort, x, y
+*/
+
+/*
+ * Geometry helpers operating on rings of points with `x` and `y`
+ * coordinates. Bounding boxes are arrays [x0, y0, x1, y1] like those
+ * returned by the bbox() function of vector-tile features.
+ */
+
+const axes = ["x", "y"];
+
+// Return the point on the segment from a to b where the coordinate on the
+// given axis equals k.
+function intersect(a, b, k, axis) {
+    const t = (k - a[axis]) / (b[axis] - a[axis]);
+    const p = {
+        x: a.x + (b.x - a.x) * t,
+        y: a.y + (b.y - a.y) * t
+    };
+    p[axis] = k;
+    return p;
+}
+
+// Return the part of the segment from a to b between k1 and k2 on the
+// given axis. End points that need no clipping are returned unchanged.
+function clipSegment(a, b, k1, k2, axis) {
+    const ak = a[axis];
+    const bk = b[axis];
+
+    if ((ak < k1 && bk < k1) || (k2 < ak && k2 < bk)) {
+        return;
+    }
+
+    function clamp(p, pk) {
+        if (pk < k1) {
+            return intersect(a, b, k1, axis);
+        }
+        if (k2 < pk) {
+            return intersect(a, b, k2, axis);
+        }
+        return p;
+    }
+
+    return [clamp(a, ak), clamp(b, bk)];
+}
+
+function clipLineAxis(line, k1, k2, axis) {
+    const parts = [];
+    let part = [];
+    let connected = false;
+
+    line.forEach(function (b, idx) {
+        if (0 === idx) {
+            return;
+        }
+        const a = line[idx - 1];
+        const segment = clipSegment(a, b, k1, k2, axis);
+
+        if (!segment) {
+            connected = false;
+            return;
+        }
+        if (!connected || segment[0] !== a) {
+            if (1 < part.length) {
+                parts.push(part);
+            }
+            part = [segment[0]];
+        }
+        part.push(segment[1]);
+        connected = segment[1] === b;
+    });
+
+    if (1 < part.length) {
+        parts.push(part);
+    }
+    return parts;
+}
+
+// Return the parts of the line inside the bounding box.
+function clipLine(line, bbox) {
+    return axes.reduce(
+        (parts, axis, idx) => parts.reduce(
+            (clipped, part) => clipped.concat(
+                clipLineAxis(part, bbox[idx], bbox[idx + 2], axis)
+            ),
+            []
+        ),
+        [line]
+    );
+}
+export {clipLine};
+
+// Clip an open ring to the half plane where sign * (p[axis] - k) >= 0.
+function clipRingHalf(ring, k, axis, sign) {
+    const result = [];
+    const inside = (p) => 0 <= sign * (p[axis] - k);
+
+    ring.forEach(function (b, idx) {
+        const a = ring[(idx || ring.length) - 1];
+        if (inside(b)) {
+            if (!inside(a)) {
+                result.push(intersect(a, b, k, axis));
+            }
+            result.push(b);
+        } else if (inside(a)) {
+            result.push(intersect(a, b, k, axis));
+        }
+    });
+
+    return result;
+}
+
+// Return the closed ring clipped to the bounding box, or an empty array if
+// nothing remains.
+function clipRing(ring, bbox) {
+    const first = ring[0];
+    const last = ring[ring.length - 1];
+    let open = ring;
+    if (first && first.x === last.x && first.y === last.y) {
+        open = ring.slice(0, -1);
+    }
+
+    const clipped = axes.reduce(
+        (result, axis, idx) => clipRingHalf(
+            clipRingHalf(result, bbox[idx], axis, 1),
+            bbox[idx + 2],
+            axis,
+            -1
+        ),
+        open
+    );
+
+    if (clipped.length < 3) {
+        return [];
+    }
+    return clipped.concat([clipped[0]]);
+}
+export {clipRing};
+
+// Return whether the point lies inside the bounding box.
+function containsPoint(bbox, p) {
+    return (
+        bbox[0] <= p.x && p.x <= bbox[2] &&
+        bbox[1] <= p.y && p.y <= bbox[3]
+    );
+}
+export {containsPoint};
+
+// Return the geometry of a vector-tile feature of the given type clipped
+// to the bounding box. Points are expected to be rings of a single point.
+function clipGeometry(type, geometry, bbox) {
+    switch (type) {
+    case 1:
+        return geometry.filter((ring) => containsPoint(bbox, ring[0]));
+    case 2:
+        return geometry.reduce(
+            (lines, line) => lines.concat(clipLine(line, bbox)),
+            []
+        );
+    default:
+        return geometry.map(
+            (ring) => clipRing(ring, bbox)
+        ).filter(
+            (ring) => 0 !== ring.length
+        );
+    }
+}
+export {clipGeometry};
+
+// Return whether two bounding boxes overlap.
+function intersects(a, b) {
+    return a[0] <= b[2] && b[0] <= a[2] && a[1] <= b[3] && b[1] <= a[3];
+}
+export {intersects};
+
+// Return the signed area of a ring, which is positive for clockwise rings
+// if the y axis points down.
+function ringArea(ring) {
+    return ring.reduce(function (sum, a, idx) {
+        const b = ring[(idx + 1) % ring.length];
+        return sum + a.x * b.y - b.x * a.y;
+    }, 0) / 2;
+}
+export {ringArea};
+
+// Return the bounding box of the given rings.
+function ringsBbox(rings) {
+    return rings.reduce(
+        (bbox, ring) => ring.reduce(
+            (box, p) => [
+                Math.min(box[0], p.x),
+                Math.min(box[1], p.y),
+                Math.max(box[2], p.x),
+                Math.max(box[3], p.y)
+            ],
+            bbox
+        ),
+        [Infinity, Infinity, -Infinity, -Infinity]
+    );
+}
+export {ringsBbox};
+
+// Return the distance of the point from the segment from a to b.
+function segmentDistance(p, a, b) {
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const length2 = dx * dx + dy * dy;
+    const t = (
+        0 === length2
+        ? 0
+        : Math.max(
+            0,
+            Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / length2)
+        )
+    );
+    return Math.hypot(a.x + t * dx - p.x, a.y + t * dy - p.y);
+}
+
+// Return the distance of the point from the nearest segment of the line.
+// Lines consisting of a single point are treated as that point.
+function lineDistance(line, p) {
+    if (1 === line.length) {
+        return segmentDistance(p, line[0], line[0]);
+    }
+    return line.reduce(
+        (min, b, idx) => (
+            0 === idx
+            ? min
+            : Math.min(min, segmentDistance(p, line[idx - 1], b))
+        ),
+        Infinity
+    );
+}
+export {lineDistance};
+
+// Return the line without the points that deviate from it by less than the
+// tolerance, using the Douglas-Peucker algorithm.
+function simplifyLine(line, tolerance) {
+    const keep = line.map(
+        (ignore, idx) => 0 === idx || line.length - 1 === idx
+    );
+    const stack = [[0, line.length - 1]];
+
+    while (0 !== stack.length) {
+        const [first, last] = stack.pop();
+        let farthest = 0;
+        let distance = tolerance;
+        let idx = first + 1;
+        while (idx < last) {
+            const d = segmentDistance(line[idx], line[first], line[last]);
+            if (distance < d) {
+                farthest = idx;
+                distance = d;
+            }
+            idx += 1;
+        }
+        if (farthest) {
+            keep[farthest] = true;
+            stack.push([first, farthest], [farthest, last]);
+        }
+    }
+
+    return line.filter((ignore, idx) => keep[idx]);
+}
+
+// Simplify each of the rings with the given tolerance. Closed rings which
+// would collapse are kept unchanged.
+function simplifyRings(rings, tolerance, closed) {
+    if (!tolerance) {
+        return rings;
+    }
+    return rings.map(function (ring) {
+        const simplified = simplifyLine(ring, tolerance);
+        return (
+            (closed && simplified.length < 4)
+            ? ring
+            : simplified
+        );
+    });
+}
+export {simplifyRings};
+
+// Return the total length of the rings.
+function ringsLength(rings) {
+    return rings.reduce(
+        (total, ring) => ring.reduce(function (length, b, idx) {
+            if (0 === idx) {
+                return length;
+            }
+            const a = ring[idx - 1];
+            return length + Math.hypot(b.x - a.x, b.y - a.y);
+        }, total),
+        0
+    );
+}
+export {ringsLength};
+
+// Return whether the point lies inside the rings using the even-odd rule,
+// so that holes are excluded.
+function ringsContain(rings, p) {
+    return rings.reduce(
+        (inside, ring) => ring.reduce(function (crossing, b, idx) {
+            const a = ring[(idx || ring.length) - 1];
+            if (
+                Math.min(a.y, b.y) <= p.y && p.y < Math.max(a.y, b.y) &&
+                p.x < a.x + (p.y - a.y) * (b.x - a.x) / (b.y - a.y)
+            ) {
+                return !crossing;
+            }
+            return crossing;
+        }, inside),
+        false
+    );
+}
+export {ringsContain};
+
+// Group rings into polygons, each an outer ring followed by its holes. The
+// first ring's winding order marks outer rings. Rings without area are
+// dropped. Outer rings are returned counter-clockwise and holes clockwise,
+// as required by GeoJSON.
+function classifyRings(rings) {
+    const polygons = [];
+    let outerSign = 0;
+
+    rings.forEach(function (ring) {
+        const sign = Math.sign(ringArea(ring));
+        if (0 === sign) {
+            return;
+        }
+        if (0 === outerSign) {
+            outerSign = sign;
+        }
+
+        const outer = sign === outerSign;
+        const wanted = (
+            outer
+            ? -1
+            : 1
+        );
+        const oriented = (
+            wanted === sign
+            ? ring
+            : ring.slice().reverse()
+        );
+        if (outer) {
+            polygons.push([oriented]);
+        } else {
+            polygons[polygons.length - 1].push(oriented);
+        }
+    });
+
+    return polygons;
+}
+export {classifyRings};
+
+function pointKey(p) {
+    return `${p.x},${p.y}`;
+}
+
+// Join lines whose end point is the start point of another line, such as
+// the parts of a line cut at tile edges. Points must be equal to match.
+function joinLines(lines) {
+    const byStart = new Map();
+    const byEnd = new Map();
+    const used = new Set();
+
+    function add(index, key, line) {
+        if (!index.has(key)) {
+            index.set(key, []);
+        }
+        index.get(key).push(line);
+    }
+
+    function unused(index, key) {
+        const candidates = index.get(key) || [];
+        return candidates.find((line) => !used.has(line));
+    }
+
+    lines.forEach(function (line) {
+        add(byStart, pointKey(line[0]), line);
+        add(byEnd, pointKey(line[line.length - 1]), line);
+    });
+
+    return lines.reduce(function (joined, line) {
+        if (used.has(line)) {
+            return joined;
+        }
+        used.add(line);
+
+        let result = line;
+        let next = unused(byStart, pointKey(result[result.length - 1]));
+        while (next) {
+            used.add(next);
+            result = result.concat(next.slice(1));
+            next = unused(byStart, pointKey(result[result.length - 1]));
+        }
+        let previous = unused(byEnd, pointKey(result[0]));
+        while (previous) {
+            used.add(previous);
+            result = previous.concat(result.slice(1));
+            previous = unused(byEnd, pointKey(result[0]));
+        }
+
+        joined.push(result);
+        return joined;
+    }, []);
+}
+export {joinLines};
+
+// Return the directed edges of the closed rings. Edges lying on a grid line,
+// i.e. on a multiple of the grid size in x or y, are split at all vertices
+// on the same grid line, so that the edges along a shared tile edge match.
+function gridEdges(rings, size) {
+    const onGrid = {x: new Map(), y: new Map()};
+    const other = {x: "y", y: "x"};
+
+    rings.forEach((ring) => ring.forEach(function (p) {
+        axes.forEach(function (axis) {
+            if (0 === p[axis] % size[axis]) {
+                const line = onGrid[axis].get(p[axis]) || [];
+                line.push(p[other[axis]]);
+                onGrid[axis].set(p[axis], line);
+            }
+        });
+    }));
+
+    const edges = [];
+    rings.forEach((ring) => ring.forEach(function (b, idx) {
+        const a = ring[idx - 1];
+        if (0 === idx || pointKey(a) === pointKey(b)) {
+            return;
+        }
+
+        const axis = axes.find(
+            (axis) => a[axis] === b[axis] && 0 === a[axis] % size[axis]
+        );
+        if (!axis) {
+            edges.push([a, b]);
+            return;
+        }
+
+        const along = other[axis];
+        const lo = Math.min(a[along], b[along]);
+        const hi = Math.max(a[along], b[along]);
+        const splits = onGrid[axis].get(a[axis]).filter(
+            (value) => lo < value && value < hi
+        ).sort(
+            (u, v) => (u - v) * Math.sign(b[along] - a[along])
+        );
+        const points = [a].concat(splits.map(function (value) {
+            const p = {x: a.x, y: a.y};
+            p[along] = value;
+            return p;
+        }), [b]);
+        points.forEach(function (p, i) {
+            if (0 !== i && pointKey(points[i - 1]) !== pointKey(p)) {
+                edges.push([points[i - 1], p]);
+            }
+        });
+    }));
+
+    return edges;
+}
+
+// Return the edges which aren't cancelled by an edge in the opposite
+// direction, as happens where two rings meet along a tile edge.
+function outlineEdges(edges) {
+    const edgeKey = (edge) => `${pointKey(edge[0])}>${pointKey(edge[1])}`;
+    const counts = new Map();
+
+    edges.forEach(function (edge) {
+        const key = edgeKey(edge);
+        counts.set(key, (counts.get(key) || 0) + 1);
+    });
+    edges.forEach(function ([a, b]) {
+        const forward = edgeKey([a, b]);
+        const backward = edgeKey([b, a]);
+        const cancelled = Math.min(
+            counts.get(forward),
+            counts.get(backward) || 0
+        );
+        if (0 < cancelled) {
+            counts.set(forward, counts.get(forward) - cancelled);
+            counts.set(backward, counts.get(backward) - cancelled);
+        }
+    });
+
+    return edges.filter(function (edge) {
+        const key = edgeKey(edge);
+        const count = counts.get(key);
+        counts.set(key, count - 1);
+        return 0 < count;
+    });
+}
+
+// Connect the edges into closed rings.
+function connectEdges(edges, size) {
+    const byStart = new Map();
+    const used = new Set();
+    const isUnused = (edge) => !used.has(edge);
+
+    edges.forEach(function (edge) {
+        const key = pointKey(edge[0]);
+        if (!byStart.has(key)) {
+            byStart.set(key, []);
+        }
+        byStart.get(key).push(edge);
+    });
+
+    // Vertices on grid lines continuing a straight edge were only added by
+    // clipping and splitting.
+    function isRedundant(a, p, b) {
+        const cross = (p.x - a.x) * (b.y - p.y) - (p.y - a.y) * (b.x - p.x);
+        return (
+            0 === cross &&
+            axes.some((axis) => 0 === p[axis] % size[axis])
+        );
+    }
+
+    return edges.reduce(function (rings, edge) {
+        if (used.has(edge)) {
+            return rings;
+        }
+
+        const ring = [edge[0]];
+        let next = edge;
+        while (next) {
+            used.add(next);
+            ring.push(next[1]);
+            const candidates = byStart.get(pointKey(next[1])) || [];
+            next = candidates.find(isUnused);
+        }
+
+        const simplified = ring.slice(0, -1).filter(
+            (p, idx, open) => !isRedundant(
+                open[(idx || open.length) - 1],
+                p,
+                open[(idx + 1) % open.length]
+            )
+        );
+        if (3 <= simplified.length) {
+            rings.push(simplified.concat([simplified[0]]));
+        }
+        return rings;
+    }, []);
+}
+
+// Dissolve the boundaries shared by polygons, such as the parts of a
+// polygon cut at tile edges. Polygons are arrays of closed rings as
+// returned by classifyRings() whose coordinates are multiples of the grid
+// size along tile edges. Points must be equal to match.
+function dissolvePolygons(polygons, size) {
+    const rings = connectEdges(outlineEdges(gridEdges(
+        polygons.reduce((all, polygon) => all.concat(polygon), []),
+        size
+    )), size);
+
+    const outers = rings.filter((ring) => ringArea(ring) < 0);
+    const result = outers.map((ring) => [ring]);
+    rings.filter((ring) => 0 < ringArea(ring)).forEach(function (hole) {
+        let best;
+        outers.forEach(function (outer, idx) {
+            if (
+                ringsContain([outer], hole[0]) && (
+                    undefined === best ||
+                    ringArea(outers[best]) < ringArea(outer)
+                )
+            ) {
+                best = idx;
+            }
+        });
+        if (undefined !== best) {
+            result[best].push(hole);
+        }
+    });
+
+    return result;
+}
+export {dissolvePolygons};
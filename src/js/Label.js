@@ -0,0 +1,225 @@
+/*
+ * Copyright 2026, agent <agent@local>
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ *   1. Redistributions of source code must retain the above copyright
+ *      notice, this list of conditions and the following disclaimer.
+ *
+ *   2. Redistributions in binary form must reproduce the above copyright
+ *      notice, this list of conditions and the following disclaimer in the
+ *      documentation and/or other materials provided with the
+ *      distribution.
+ *
+ *   3. Neither the name of the copyright holder nor the names of its
+ *      contributors may be used to endorse or promote products derived
+ *      from this software without specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS"
+ * AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE
+ * IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE
+ * ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT HOLDER OR CONTRIBUTORS BE
+ * LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR
+ * CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF
+ * SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS
+ * INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN
+ * CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE)
+ * ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE
+ * POSSIBILITY OF SUCH DAMAGE.
+ */
+
+/*jslint browser*/
+
+/*property
+    abs, atan2, bottom, center, createElement, distanceTo, find, font, fontSize,
+    getContext, haloColor, haloWidth, includes, label, left, length, map, max,
+    measureText, middle, min, priority, reduce, replace, reverse, right, slice,
+    split, textAnchor, textColor, textField, textOffset, top, width, x, y
+*/
+
+/*
+ * Helpers shared by the SVG and canvas label layers.
+ */
+
+const labelOptions = {
+    font: "sans-serif",
+    fontSize: 12,
+    haloColor: "white",
+    haloWidth: 0,
+    textAnchor: "center",
+    textColor: "black",
+    textOffset: [0, 0]
+};
+export {labelOptions};
+
+// Return the text of the label, which is either given by the `label`
+// style option or by the `textField`. The latter names a feature property
+// or is a template containing property names in braces.
+function labelText(properties, style) {
+    if (undefined !== style.label) {
+        return String(style.label);
+    }
+
+    function property(name) {
+        const value = properties[name];
+        return (
+            (undefined === value || null === value)
+            ? ""
+            : String(value)
+        );
+    }
+
+    const field = String(style.textField);
+    if (!field.includes("{")) {
+        return property(field);
+    }
+    return field.replace(/\{([^}]+)\}/g, (ignore, name) => property(name));
+}
+export {labelText};
+
+// Return whether the style requests a label.
+function isLabelStyle(style) {
+    return undefined !== style.label || undefined !== style.textField;
+}
+export {isLabelStyle};
+
+const horizontalSides = ["left", "right"];
+const verticalSides = ["top", "bottom"];
+
+// Return the horizontal and vertical alignment ["left", "center" or
+// "right", "top", "middle" or "bottom"] of text for the anchor, which is
+// the part of the text placed at the feature, for example "top-left".
+function labelAlignment(anchor) {
+    const parts = String(anchor).split("-");
+    const horizontal = horizontalSides.find((side) => parts.includes(side));
+    const vertical = verticalSides.find((side) => parts.includes(side));
+    return [horizontal || "center", vertical || "middle"];
+}
+export {labelAlignment};
+
+function lineLength(line) {
+    return line.reduce(
+        (length, p, idx) => (
+            0 === idx
+            ? 0
+            : length + p.distanceTo(line[idx - 1])
+        ),
+        0
+    );
+}
+export {lineLength};
+
+// Return the point at the given distance along the line and the direction
+// of the line there.
+function pointAlong(line, distance) {
+    let idx = 1;
+    while (
+        idx < line.length - 1 &&
+        line[idx].distanceTo(line[idx - 1]) < distance
+    ) {
+        distance -= line[idx].distanceTo(line[idx - 1]);
+        idx += 1;
+    }
+
+    const a = line[idx - 1];
+    const b = line[idx];
+    const t = distance / (a.distanceTo(b) || 1);
+    return [
+        {x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t},
+        Math.atan2(b.y - a.y, b.x - a.x)
+    ];
+}
+export {pointAlong};
+
+// Return the longest line of the geometry, running from left to right so
+// that text following it is upright.
+function labelLine(geometry) {
+    const longest = geometry.reduce(
+        (best, line) => (
+            lineLength(best) < lineLength(line)
+            ? line
+            : best
+        )
+    );
+    return (
+        longest[longest.length - 1].x < longest[0].x
+        ? longest.slice().reverse()
+        : longest
+    );
+}
+export {labelLine};
+
+// A canvas context for measuring text outside of any tile.
+let measureContext;
+
+function labelFont(style) {
+    return `${style.fontSize}px ${style.font}`;
+}
+export {labelFont};
+
+function measureLabel(text, style) {
+    if (!measureContext) {
+        measureContext = document.createElement("canvas").getContext("2d");
+    }
+    measureContext.font = labelFont(style);
+    return measureContext.measureText(text).width;
+}
+export {measureLabel};
+
+// The fraction of a label's extent before its anchor.
+const alignments = {
+    bottom: 1,
+    center: 0.5,
+    left: 0,
+    middle: 0.5,
+    right: 1,
+    top: 0
+};
+
+// Return the bounding box [x0, y0, x1, y1] of the label placed at the
+// point.
+function labelBox(pos, text, style) {
+    const {fontSize, textAnchor, textOffset} = style;
+    const width = measureLabel(text, style);
+    const [horizontal, vertical] = labelAlignment(textAnchor);
+    const x = pos.x + textOffset[0] - width * alignments[horizontal];
+    const y = pos.y + textOffset[1] - fontSize * alignments[vertical];
+    return [x, y, x + width, y + fontSize];
+}
+export {labelBox};
+
+// Return the bounding box of the label following the line, or undefined if
+// the text is longer than the line.
+function lineLabelBox(line, text, style) {
+    const length = lineLength(line);
+    const width = measureLabel(text, style);
+    if (length < width) {
+        return;
+    }
+
+    const start = (length - width) / 2 + style.textOffset[0];
+    const points = [0, 0.25, 0.5, 0.75, 1].map(
+        (fraction) => pointAlong(line, start + width * fraction)[0]
+    );
+    const margin = style.fontSize / 2 + Math.abs(style.textOffset[1]);
+    return [
+        Math.min(...points.map((p) => p.x)) - margin,
+        Math.min(...points.map((p) => p.y)) - margin,
+        Math.max(...points.map((p) => p.x)) + margin,
+        Math.max(...points.map((p) => p.y)) + margin
+    ];
+}
+export {lineLabelBox};
+
+// Return the placement priority given by the `priority` style option,
+// which is either a number or the name of a numeric feature property.
+function placementPriority(properties, style) {
+    const {priority} = style;
+    return Number(
+        "string" === typeof priority
+        ? properties[priority]
+        : priority
+    ) || 0;
+}
+export {placementPriority};
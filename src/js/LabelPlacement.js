@@ -0,0 +1,274 @@
+/*
+ * Copyright 2026, agent <agent@local>
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ *   1. Redistributions of source code must retain the above copyright
+ *      notice, this list of conditions and the following disclaimer.
+ *
+ *   2. Redistributions in binary form must reproduce the above copyright
+ *      notice, this list of conditions and the following disclaimer in the
+ *      documentation and/or other materials provided with the
+ *      distribution.
+ *
+ *   3. Neither the name of the copyright holder nor the names of its
+ *      contributors may be used to endorse or promote products derived
+ *      from this software without specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS"
+ * AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE
+ * IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE
+ * ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT HOLDER OR CONTRIBUTORS BE
+ * LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR
+ * CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF
+ * SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS
+ * INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN
+ * CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE)
+ * ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE
+ * POSSIBILITY OF SUCH DAMAGE.
+ */
+
+/*property
+    add, assign, box, coords, distanceTo, eachFeatureLayer, featureLayer, floor,
+    forEach, freeze, get, global, has, id, join, key, layerName, map, offset,
+    owned, place, placement, priority, push, repeatDistance, round, set,
+    setOverflow, setSuppressed, shown, some, sort, subtract, tile, tileSize, x,
+    y, z
+*/
+
+import {point} from "leaflet";
+
+/*
+ * Hide overlapping labels and icons across all tiles. Feature layers take
+ * part by providing a placement() function which returns the bounding box
+ * [x0, y0, x1, y1] of their graphics in tile pixels, a priority and
+ * optionally a key such as the label text, which identifies repetitions.
+ * Feature layers near tile edges are often present in several tiles. Only
+ * the copy in the tile containing the centre of its box is shown and its
+ * parts extending beyond the tile are drawn by the neighbouring tiles.
+ */
+
+const defaultOptions = {
+    repeatDistance: 256
+};
+
+// The size of the grid cells used to find overlapping boxes.
+const cellSize = 128;
+
+function overlaps(a, b) {
+    return a[0] < b[2] && b[0] < a[2] && a[1] < b[3] && b[1] < a[3];
+}
+
+// Return the box of the tile in map pixels.
+function tileBox(tile) {
+    const origin = tile.global(point(0, 0));
+    const size = tile.tileSize();
+    return [origin.x, origin.y, origin.x + size.x, origin.y + size.y];
+}
+
+function byPriority(a, b) {
+    if (a.priority !== b.priority) {
+        return b.priority - a.priority;
+    }
+    if (a.shown !== b.shown) {
+        return (
+            a.shown
+            ? -1
+            : 1
+        );
+    }
+    return (
+        a.id < b.id
+        ? -1
+        : Number(b.id < a.id)
+    );
+}
+
+export default Object.freeze(function labelPlacement(options) {
+    const self = {};
+    const {repeatDistance} = Object.assign({}, defaultOptions, options);
+
+    // The candidates shown by the previous pass are preferred to keep the
+    // placement stable while tiles come and go.
+    let m_shown = new Set();
+
+    function candidates(tiles, hidden) {
+        const result = [];
+
+        tiles.forEach(function (tile) {
+            const {z} = tile.coords();
+            const origin = tile.global(point(0, 0));
+            const bounds = tileBox(tile);
+
+            tile.eachFeatureLayer(function (featureLayer) {
+                if (hidden.has(featureLayer)) {
+                    return;
+                }
+                const placement = (
+                    featureLayer.placement
+                    ? featureLayer.placement()
+                    : undefined
+                );
+                if (!placement) {
+                    if (featureLayer.setSuppressed) {
+                        featureLayer.setSuppressed(false);
+                    }
+                    return;
+                }
+
+                const {box, key, priority} = placement;
+                if (!box) {
+                    featureLayer.setSuppressed(true);
+                    return;
+                }
+
+                const global = [
+                    origin.x + box[0],
+                    origin.y + box[1],
+                    origin.x + box[2],
+                    origin.y + box[3]
+                ];
+                const id = [
+                    z,
+                    featureLayer.layerName,
+                    key,
+                    Math.round(global[0]),
+                    Math.round(global[1])
+                ].join("|");
+                const cx = (global[0] + global[2]) / 2;
+                const cy = (global[1] + global[3]) / 2;
+
+                result.push({
+                    box: global,
+                    featureLayer,
+                    id,
+                    key: (
+                        undefined === key
+                        ? undefined
+                        : `${z}|${featureLayer.layerName}|${key}`
+                    ),
+                    owned: (
+                        bounds[0] <= cx && cx < bounds[2] &&
+                        bounds[1] <= cy && cy < bounds[3]
+                    ),
+                    priority,
+                    shown: m_shown.has(id),
+                    tile,
+                    z
+                });
+            });
+        });
+
+        return result.sort(byPriority);
+    }
+
+    // Decide which candidates to show and hide the others. Feature layers
+    // in the optional set of hidden ones are left alone.
+    self.place = function place(tiles, hidden) {
+        const grid = new Map();
+        const repeated = new Map();
+        const shown = new Set();
+
+        function cells(candidate) {
+            const [x0, y0, x1, y1] = candidate.box.map(
+                (value) => Math.floor(value / cellSize)
+            );
+            const result = [];
+            let y = y0;
+            while (y <= y1) {
+                let x = x0;
+                while (x <= x1) {
+                    result.push(`${candidate.z}|${x}|${y}`);
+                    x += 1;
+                }
+                y += 1;
+            }
+            return result;
+        }
+
+        function collides(candidate) {
+            return cells(candidate).some(function (cell) {
+                const boxes = grid.get(cell) || [];
+                return boxes.some((box) => overlaps(box, candidate.box));
+            });
+        }
+
+        function center(box) {
+            return point((box[0] + box[2]) / 2, (box[1] + box[3]) / 2);
+        }
+
+        function repeats(candidate) {
+            if (undefined === candidate.key) {
+                return false;
+            }
+            const centers = repeated.get(candidate.key) || [];
+            const c = center(candidate.box);
+            return centers.some(
+                (other) => c.distanceTo(other) < repeatDistance
+            );
+        }
+
+        function insert(candidate) {
+            cells(candidate).forEach(function (cell) {
+                if (!grid.has(cell)) {
+                    grid.set(cell, []);
+                }
+                grid.get(cell).push(candidate.box);
+            });
+            if (undefined !== candidate.key) {
+                if (!repeated.has(candidate.key)) {
+                    repeated.set(candidate.key, []);
+                }
+                repeated.get(candidate.key).push(center(candidate.box));
+            }
+            shown.add(candidate.id);
+        }
+
+        // The neighbouring tiles into which shown boxes extend.
+        const overflow = new Map(tiles.map((tile) => [tile, []]));
+
+        function addOverflow(candidate) {
+            const own = tileBox(candidate.tile);
+            const {box} = candidate;
+            if (
+                own[0] <= box[0] && own[1] <= box[1] &&
+                box[2] <= own[2] && box[3] <= own[3]
+            ) {
+                return;
+            }
+
+            const from = candidate.tile.global(point(0, 0));
+            tiles.forEach(function (tile) {
+                if (
+                    tile !== candidate.tile &&
+                    tile.coords().z === candidate.z &&
+                    overlaps(tileBox(tile), candidate.box)
+                ) {
+                    overflow.get(tile).push({
+                        featureLayer: candidate.featureLayer,
+                        offset: from.subtract(tile.global(point(0, 0)))
+                    });
+                }
+            });
+        }
+
+        candidates(tiles, hidden || new Set()).forEach(function (candidate) {
+            const visible = (
+                candidate.owned &&
+                !collides(candidate) &&
+                !repeats(candidate)
+            );
+            if (visible) {
+                insert(candidate);
+                addOverflow(candidate);
+            }
+            candidate.featureLayer.setSuppressed(!visible);
+        });
+        tiles.forEach((tile) => tile.setOverflow(overflow.get(tile)));
+
+        m_shown = shown;
+    };
+
+    return self;
+});
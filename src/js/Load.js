@@ -0,0 +1,255 @@
+/*
+ * Copyright 2026, agent <agent@local>
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ *   1. Redistributions of source code must retain the above copyright
+ *      notice, this list of conditions and the following disclaimer.
+ *
+ *   2. Redistributions in binary form must reproduce the above copyright
+ *      notice, this list of conditions and the following disclaimer in the
+ *      documentation and/or other materials provided with the
+ *      distribution.
+ *
+ *   3. Neither the name of the copyright holder nor the names of its
+ *      contributors may be used to endorse or promote products derived
+ *      from this software without specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS"
+ * AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE
+ * IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE
+ * ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT HOLDER OR CONTRIBUTORS BE
+ * LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR
+ * CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF
+ * SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS
+ * INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN
+ * CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE)
+ * ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE
+ * POSSIBILITY OF SUCH DAMAGE.
+ */
+
+/*jslint browser*/
+/*global AbortController, DecompressionStream, Headers, Response*/
+
+/*property
+    abort, aborted, addEventListener, arrayBuffer, assign, attempts, body,
+    catch, delete, emptyStatuses, etags, finally, freeze, get, has, headers,
+    includes, join, keys, kind, length, maxETags, next, offset, ok, once,
+    pipeThrough, random, range, reason, reject, removeEventListener, retries,
+    retryDelay, revalidate, set, signal, size, slice, status, statusText, then,
+    timeout, url, value
+*/
+
+function err(...args) {
+    return new Error(args.join(": "));
+}
+
+// Errors from loading tiles carry the kind of failure, i.e. "decode",
+// "http", "network" or "timeout", as well as the URL, the HTTP status if
+// any and the number of attempts made.
+function loadError(error, details) {
+    return Object.assign(error, details);
+}
+export {err, loadError};
+
+// Resolve to the buffer decompressed using a DecompressionStream. Returns
+// undefined if the platform doesn't support the format.
+function decompressStream(buffer, format) {
+    let decompressor;
+
+    if ("undefined" === typeof DecompressionStream) {
+        return;
+    }
+
+    try {
+        decompressor = new DecompressionStream(format);
+    } catch (ignore) {
+        return;
+    }
+
+    const stream = new Response(buffer).body.pipeThrough(decompressor);
+    return new Response(stream).arrayBuffer();
+}
+export {decompressStream};
+
+const defaultOptions = Object.freeze({
+    emptyStatuses: [204, 404],
+    maxETags: 1000,
+    retries: 2,
+    retryDelay: 500,
+    timeout: 0
+});
+
+// Only transient failures are worth retrying.
+function isRetryable(error) {
+    const {kind, status} = error;
+    return (
+        "http" !== kind ||
+        408 === status ||
+        429 === status ||
+        500 <= status
+    );
+}
+
+// Resolve after the given delay unless the signal is aborted first.
+function wait(delay, signal) {
+    return new Promise(function (resolve, reject) {
+        function abort() {
+            clearTimeout(timer);
+            reject(signal.reason);
+        }
+
+        const timer = setTimeout(function () {
+            if (signal) {
+                signal.removeEventListener("abort", abort);
+            }
+            resolve();
+        }, delay);
+
+        if (signal) {
+            signal.addEventListener("abort", abort, {once: true});
+        }
+    });
+}
+
+// Add a header to the fetch options.
+function headerOptions(fetchOptions, name, value) {
+    const headers = new Headers(fetchOptions && fetchOptions.headers);
+    headers.set(name, value);
+    return Object.assign({}, fetchOptions, {headers});
+}
+
+// Fetch a tile and resolve to its contents, or to undefined if there is
+// no such tile. Transient failures are retried with exponential backoff
+// and jitter. If the option `etags` holds a Map, the ETags of responses
+// are stored in it by URL, keeping only the `maxETags` most recent ones.
+// With the option `revalidate`, the request is then made conditional and
+// resolves to false if the tile is unchanged. The option `range` given as
+// `{length, offset}` requests only that part of the resource, which is cut
+// from the response if the server ignores the range.
+export default Object.freeze(function load(url, fetchOptions, options) {
+    const {
+        emptyStatuses,
+        etags,
+        maxETags,
+        range,
+        retries,
+        retryDelay,
+        revalidate,
+        timeout
+    } = Object.assign({}, defaultOptions, options);
+    const signal = fetchOptions && fetchOptions.signal;
+
+    const conditional = Boolean(etags && revalidate && etags.has(url));
+
+    if (conditional) {
+        fetchOptions = headerOptions(
+            fetchOptions,
+            "If-None-Match",
+            etags.get(url)
+        );
+    }
+    if (range) {
+        fetchOptions = headerOptions(
+            fetchOptions,
+            "Range",
+            `bytes=${range.offset}-${range.offset + range.length - 1}`
+        );
+    }
+
+    function contents(response) {
+        return response.arrayBuffer().then(
+            (buffer) => (
+                (!range || 206 === response.status)
+                ? buffer
+                : buffer.slice(range.offset, range.offset + range.length)
+            )
+        );
+    }
+
+    function storeETag(response) {
+        const etag = response.headers.get("ETag");
+        etags.delete(url);
+        if (etag) {
+            etags.set(url, etag);
+        }
+        while (maxETags < etags.size) {
+            etags.delete(etags.keys().next().value);
+        }
+    }
+
+    function fetchOnce(attempts) {
+        const controller = new AbortController();
+        let timedOut = false;
+        let timer;
+
+        function abort() {
+            controller.abort(signal.reason);
+        }
+
+        if (signal) {
+            if (signal.aborted) {
+                return Promise.reject(signal.reason);
+            }
+            signal.addEventListener("abort", abort);
+        }
+        if (0 < timeout) {
+            timer = setTimeout(function () {
+                timedOut = true;
+                controller.abort();
+            }, timeout);
+        }
+
+        return fetch(
+            url,
+            Object.assign({}, fetchOptions, {signal: controller.signal})
+        ).then(function (response) {
+            if (conditional && 304 === response.status) {
+                return false;
+            }
+            if (etags && response.ok) {
+                storeETag(response);
+            }
+            if (response.ok && !emptyStatuses.includes(response.status)) {
+                return contents(response);
+            }
+            if (!emptyStatuses.includes(response.status)) {
+                throw loadError(
+                    err(url, response.status, response.statusText),
+                    {kind: "http", status: response.status}
+                );
+            }
+        }).catch(function (exc) {
+            if (signal && signal.aborted) {
+                throw exc;
+            }
+            if (timedOut) {
+                throw loadError(
+                    err(url, "Timeout"),
+                    {attempts, kind: "timeout", url}
+                );
+            }
+            throw loadError(exc, {attempts, kind: exc.kind || "network", url});
+        }).finally(function () {
+            clearTimeout(timer);
+            if (signal) {
+                signal.removeEventListener("abort", abort);
+            }
+        });
+    }
+
+    function attempt(attempts) {
+        return fetchOnce(attempts).catch(function (exc) {
+            if (attempts > retries || !exc.kind || !isRetryable(exc)) {
+                throw exc;
+            }
+            const delay = (
+                retryDelay * (2 ** (attempts - 1)) * (1 + Math.random()) / 2
+            );
+            return wait(delay, signal).then(() => attempt(attempts + 1));
+        });
+    }
+
+    return attempt(1);
+});
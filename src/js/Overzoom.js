@@ -0,0 +1,104 @@
+/*
+ * Copyright 2026, agent <agent@local>
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ *   1. Redistributions of source code must retain the above copyright
+ *      notice, this list of conditions and the following disclaimer.
+ *
+ *   2. Redistributions in binary form must reproduce the above copyright
+ *      notice, this list of conditions and the following disclaimer in the
+ *      documentation and/or other materials provided with the
+ *      distribution.
+ *
+ *   3. Neither the name of the copyright holder nor the names of its
+ *      contributors may be used to endorse or promote products derived
+ *      from this software without specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS"
+ * AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE
+ * IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE
+ * ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT HOLDER OR CONTRIBUTORS BE
+ * LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR
+ * CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF
+ * SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS
+ * INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN
+ * CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE)
+ * ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE
+ * POSSIBILITY OF SUCH DAMAGE.
+ */
+
+/*property
+    add, extent, feature, freeze, keys, layers, length, loadGeometry, map, pack,
+    type, x, y
+*/
+
+import {clipGeometry} from "./Geometry.js";
+import {layerPacker, unpackVectorTile} from "./PackedTile.js";
+
+/*
+ * Derive the tiles of zoom levels beyond those of the data from the tiles
+ * of the highest zoom level available. Each derived tile holds the part
+ * of the features in its quadrant of the data tile plus a buffer, scaled
+ * to the extent of the data tile.
+ */
+
+// The buffer around derived tiles as a fraction of their size.
+const bufferRatio = 1 / 16;
+
+function overzoomLayer(tileLayer, name, offset, scale) {
+    const {extent} = tileLayer;
+    const buffer = extent * bufferRatio;
+    const bbox = [-buffer, -buffer, extent + buffer, extent + buffer];
+    const packer = layerPacker(name, extent);
+
+    // Convert from the coordinates of the data tile.
+    const toTile = (p) => ({
+        x: p.x * scale - offset.x * extent,
+        y: p.y * scale - offset.y * extent
+    });
+    const ringToTile = (ring) => ring.map(toTile);
+
+    let i = 0;
+    while (i !== tileLayer.length) {
+        const feature = tileLayer.feature(i);
+        i += 1;
+
+        const geometry = clipGeometry(
+            feature.type,
+            feature.loadGeometry().map(ringToTile),
+            bbox
+        );
+        if (0 !== geometry.length) {
+            packer.add(feature, geometry);
+        }
+    }
+
+    return packer.pack();
+}
+
+// Return the tile with the given coordinates, `levels` zoom levels above
+// the data tile containing it.
+export default Object.freeze(function overzoomVectorTile(
+    vectorTile,
+    coords,
+    levels
+) {
+    const scale = 2 ** levels;
+    const offset = {
+        x: coords.x % scale,
+        y: coords.y % scale
+    };
+
+    return unpackVectorTile({
+        layers: Object.keys(vectorTile.layers).map(
+            (name) => overzoomLayer(
+                vectorTile.layers[name],
+                name,
+                offset,
+                scale
+            )
+        )
+    });
+});
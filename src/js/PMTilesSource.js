@@ -0,0 +1,352 @@
+/*
+ * Copyright 2026, agent <agent@local>
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ *   1. Redistributions of source code must retain the above copyright
+ *      notice, this list of conditions and the following disclaimer.
+ *
+ *   2. Redistributions in binary form must reproduce the above copyright
+ *      notice, this list of conditions and the following disclaimer in the
+ *      documentation and/or other materials provided with the
+ *      distribution.
+ *
+ *   3. Neither the name of the copyright holder nor the names of its
+ *      contributors may be used to endorse or promote products derived
+ *      from this software without specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS"
+ * AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE
+ * IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE
+ * ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT HOLDER OR CONTRIBUTORS BE
+ * LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR
+ * CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF
+ * SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS
+ * INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN
+ * CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE)
+ * ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE
+ * POSSIBILITY OF SUCH DAMAGE.
+ */
+
+/*jslint bitwise*/
+
+/*property
+    assign, byteLength, catch, delete, emptyStatuses, entries, floor, forEach,
+    freeze, fromCharCode, get, getTile, getUint32, getUint8, header,
+    internalCompression, keys, kind, leafDirectoryOffset, length, maxZoom,
+    minZoom, next, offset, push, range, reject, resolve, rootDirectoryLength,
+    rootDirectoryOffset, runLength, set, signal, size, slice, then,
+    tileCompression, tileDataOffset, tileId, tileType, url, value, x, y, z
+*/
+
+import decompress from "./Decompress.js";
+import load from "./Load.js";
+import {err, loadError} from "./Load.js";
+
+/*
+ * Read tiles from a PMTiles version 3 archive using HTTP range requests.
+ * See https://github.com/protomaps/PMTiles/blob/main/spec/v3/spec.md
+ * Requests are made using load() with the given load options, so they are
+ * retried and time out like other tile requests. The emptyStatuses only
+ * apply to tile data because the header and directories must exist.
+ */
+
+// The header and root directory are contained in the first 16 KiB.
+const initialLength = 16384;
+
+// The number of leaf directories to keep in memory.
+const leafDirectoryCacheSize = 64;
+
+// The maximum nesting depth of leaf directories.
+const maxDepth = 3;
+
+const compressions = ["none", "none", "gzip", "brotli", "zstd"];
+
+// The only tile type supported is Mapbox Vector Tiles.
+const mvtTileType = 1;
+
+function uint64(view, offset) {
+    return (
+        view.getUint32(offset + 4, true) * 0x100000000 +
+        view.getUint32(offset, true)
+    );
+}
+
+function parseHeader(buffer) {
+    const view = new DataView(buffer);
+    const magic = String.fromCharCode(...new Uint8Array(buffer, 0, 7));
+
+    if ("PMTiles" !== magic || 3 !== view.getUint8(7)) {
+        return;
+    }
+
+    return {
+        internalCompression: compressions[view.getUint8(97)],
+        leafDirectoryOffset: uint64(view, 40),
+        maxZoom: view.getUint8(101),
+        minZoom: view.getUint8(100),
+        rootDirectoryLength: uint64(view, 16),
+        rootDirectoryOffset: uint64(view, 8),
+        tileCompression: compressions[view.getUint8(98)],
+        tileDataOffset: uint64(view, 56),
+        tileType: view.getUint8(99)
+    };
+}
+
+function parseDirectory(buffer) {
+    const bytes = new Uint8Array(buffer);
+    let pos = 0;
+
+    function readVarint() {
+        let result = 0;
+        let factor = 1;
+        let byte = 0x80;
+        while (0x80 <= byte) {
+            byte = bytes[pos];
+            pos += 1;
+            result += (byte & 0x7f) * factor;
+            factor *= 0x80;
+        }
+        return result;
+    }
+
+    const count = readVarint();
+    const entries = [];
+    let tileId = 0;
+    while (entries.length !== count) {
+        tileId += readVarint();
+        entries.push({length: 0, offset: 0, runLength: 0, tileId});
+    }
+    entries.forEach(function (entry) {
+        entry.runLength = readVarint();
+    });
+    entries.forEach(function (entry) {
+        entry.length = readVarint();
+    });
+    entries.forEach(function (entry, idx) {
+        const offset = readVarint();
+        if (0 === offset && 0 !== idx) {
+            const previous = entries[idx - 1];
+            entry.offset = previous.offset + previous.length;
+        } else {
+            entry.offset = offset - 1;
+        }
+    });
+
+    return entries;
+}
+
+// Return the position of the tile on the Hilbert curve of all tiles.
+function hilbertTileId(coords) {
+    let {x, y} = coords;
+    let d = 0;
+    let s = (2 ** coords.z) / 2;
+
+    while (1 <= s) {
+        const rx = (
+            0 !== (x & s)
+            ? 1
+            : 0
+        );
+        const ry = (
+            0 !== (y & s)
+            ? 1
+            : 0
+        );
+        d += s * s * ((3 * rx) ^ ry);
+        if (0 === ry) {
+            if (1 === rx) {
+                x = s - 1 - x;
+                y = s - 1 - y;
+            }
+            [x, y] = [y, x];
+        }
+        s = s / 2;
+    }
+
+    return ((4 ** coords.z) - 1) / 3 + d;
+}
+
+// Return the entry for the tile or the leaf directory containing it.
+function findEntry(entries, tileId) {
+    let lo = 0;
+    let hi = entries.length - 1;
+
+    while (lo <= hi) {
+        const mid = Math.floor((lo + hi) / 2);
+        const cmp = tileId - entries[mid].tileId;
+        if (0 < cmp) {
+            lo = mid + 1;
+        } else if (cmp < 0) {
+            hi = mid - 1;
+        } else {
+            return entries[mid];
+        }
+    }
+
+    // The entry preceding the tile may be a run or a leaf directory.
+    const entry = entries[hi];
+    if (
+        entry && (
+            0 === entry.runLength ||
+            tileId - entry.tileId < entry.runLength
+        )
+    ) {
+        return entry;
+    }
+}
+
+export default Object.freeze(function pmtilesSource(
+    url,
+    fetchOptions,
+    loadOptions
+) {
+    const self = {};
+    const m_leafDirectories = new Map();
+    let m_root;
+
+    // Resolve to the given part of the archive, or to undefined for tile
+    // data with one of the emptyStatuses.
+    function fetchRange(offset, length, signal, tileData) {
+        const rangeOptions = {range: {length, offset}};
+        if (!tileData) {
+            rangeOptions.emptyStatuses = [];
+        }
+
+        return load(
+            url,
+            Object.assign({}, fetchOptions, {signal}),
+            Object.assign({}, loadOptions, rangeOptions)
+        );
+    }
+
+    function decodeError(...args) {
+        return loadError(err(url, ...args), {kind: "decode", url});
+    }
+
+    // Decompress a part of the archive, classifying any failure as a
+    // decode error.
+    function decompressRange(buffer, compression) {
+        return decompress(buffer, compression).catch(function (exc) {
+            throw loadError(exc, {kind: "decode", url});
+        });
+    }
+
+    function directory(header, buffer) {
+        return decompressRange(buffer, header.internalCompression).then(
+            parseDirectory
+        );
+    }
+
+    // Resolve to the header and the root directory entries.
+    function root() {
+        if (!m_root) {
+            m_root = fetchRange(0, initialLength).then(function (buffer) {
+                const header = parseHeader(buffer);
+                if (!header) {
+                    throw decodeError("Not a PMTiles version 3 archive");
+                }
+                if (mvtTileType !== header.tileType) {
+                    throw decodeError("Unsupported tile type", header.tileType);
+                }
+
+                const end = (
+                    header.rootDirectoryOffset + header.rootDirectoryLength
+                );
+                const rootBuffer = (
+                    end <= buffer.byteLength
+                    ? Promise.resolve(
+                        buffer.slice(header.rootDirectoryOffset, end)
+                    )
+                    : fetchRange(
+                        header.rootDirectoryOffset,
+                        header.rootDirectoryLength
+                    )
+                );
+                return rootBuffer.then(
+                    (dirBuffer) => directory(header, dirBuffer)
+                ).then(
+                    (entries) => ({entries, header})
+                );
+            });
+
+            // Try again next time if the archive couldn't be read.
+            m_root.catch(function () {
+                m_root = undefined;
+            });
+        }
+        return m_root;
+    }
+
+    // Resolve to the entries of a leaf directory, caching the most
+    // recently used ones.
+    function leafDirectory(header, entry) {
+        const offset = header.leafDirectoryOffset + entry.offset;
+        let entries = m_leafDirectories.get(offset);
+
+        if (entries) {
+            m_leafDirectories.delete(offset);
+        } else {
+            entries = fetchRange(offset, entry.length).then(
+                (buffer) => directory(header, buffer)
+            );
+            entries.catch(() => m_leafDirectories.delete(offset));
+        }
+
+        m_leafDirectories.set(offset, entries);
+        if (leafDirectoryCacheSize < m_leafDirectories.size) {
+            m_leafDirectories.delete(m_leafDirectories.keys().next().value);
+        }
+
+        return entries;
+    }
+
+    function findTile(header, entries, tileId, depth, signal) {
+        const entry = findEntry(entries, tileId);
+
+        if (!entry) {
+            return Promise.resolve();
+        }
+
+        if (0 !== entry.runLength) {
+            return fetchRange(
+                header.tileDataOffset + entry.offset,
+                entry.length,
+                signal,
+                true
+            ).then(
+                (buffer) => decompressRange(buffer, header.tileCompression)
+            );
+        }
+
+        if (maxDepth <= depth) {
+            return Promise.reject(decodeError("Too many directory levels"));
+        }
+
+        return leafDirectory(header, entry).then(
+            (leaf) => findTile(header, leaf, tileId, depth + 1, signal)
+        );
+    }
+
+    // Resolve to the contents of the tile at the given coordinates, or to
+    // undefined if the archive doesn't contain it. Only the request for the
+    // tile data itself is aborted by the signal because directories are
+    // shared between tiles.
+    self.getTile = function getTile(coords, signal) {
+        return root().then(function ({entries, header}) {
+            if (coords.z < header.minZoom || header.maxZoom < coords.z) {
+                return;
+            }
+            return findTile(
+                header,
+                entries,
+                hilbertTileId(coords),
+                0,
+                signal
+            );
+        });
+    };
+
+    return self;
+});
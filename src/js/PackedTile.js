@@ -0,0 +1,212 @@
+/*
+ * Copyright 2026, agent <agent@local>
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ *   1. Redistributions of source code must retain the above copyright
+ *      notice, this list of conditions and the following disclaimer.
+ *
+ *   2. Redistributions in binary form must reproduce the above copyright
+ *      notice, this list of conditions and the following disclaimer in the
+ *      documentation and/or other materials provided with the
+ *      distribution.
+ *
+ *   3. Neither the name of the copyright holder nor the names of its
+ *      contributors may be used to endorse or promote products derived
+ *      from this software without specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS"
+ * AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE
+ * IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE
+ * ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT HOLDER OR CONTRIBUTORS BE
+ * LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR
+ * CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF
+ * SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS
+ * INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN
+ * CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE)
+ * ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE
+ * POSSIBILITY OF SUCH DAMAGE.
+ */
+
+/*property
+    add, bbox, buffer, concat, coordinates, ends, extent, feature, filter,
+    forEach, from, id, ids, layers, length, loadGeometry, map, max, min, name,
+    pack, properties, push, reduce, rings, type, types, x, y
+*/
+
+import Point from "@mapbox/point-geometry";
+
+/*
+ * A packed tile holds the features of a vector tile in a few typed arrays
+ * which can be transferred to and from a Web Worker without copying. For
+ * each layer, `ends` holds the index into `rings` after the last ring of
+ * each feature and `rings` holds the index into `coordinates` after the
+ * last coordinate of each ring.
+ */
+
+// Collect features for a packed layer and return it from pack().
+function layerPacker(name, extent) {
+    const self = {};
+    const coordinates = [];
+    const ends = [];
+    const ids = [];
+    const properties = [];
+    const rings = [];
+    const types = [];
+
+    function addRing(ring) {
+        ring.forEach((p) => coordinates.push(p.x, p.y));
+        rings.push(coordinates.length);
+    }
+
+    // Add a feature with the given id, properties and type.
+    self.add = function add(feature, geometry) {
+        geometry.forEach(addRing);
+        ends.push(rings.length);
+        ids.push(feature.id);
+        properties.push(feature.properties);
+        types.push(feature.type);
+    };
+
+    self.length = () => types.length;
+
+    self.pack = () => ({
+        coordinates: Int32Array.from(coordinates),
+        ends: Uint32Array.from(ends),
+        extent,
+        ids,
+        name,
+        properties,
+        rings: Uint32Array.from(rings),
+        types: Uint8Array.from(types)
+    });
+
+    return self;
+}
+export {layerPacker};
+
+function packLayer(tileLayer, name, filter) {
+    const packer = layerPacker(name, tileLayer.extent);
+
+    let i = 0;
+    while (i !== tileLayer.length) {
+        const feature = tileLayer.feature(i);
+        i += 1;
+
+        if (!filter || filter(feature, name)) {
+            packer.add(feature, feature.loadGeometry());
+        }
+    }
+
+    return packer.pack();
+}
+
+// Pack the given layers of a vector tile, optionally only those features
+// for which filter(feature, layerName) returns true.
+function packVectorTile(vectorTile, layerNames, filter) {
+    return {
+        layers: layerNames.filter(
+            (name) => vectorTile.layers[name]
+        ).map(
+            (name) => packLayer(vectorTile.layers[name], name, filter)
+        )
+    };
+}
+export {packVectorTile};
+
+// Return the buffers that can be transferred with a packed tile.
+function transferables(packed) {
+    return packed.layers.reduce(
+        (buffers, layer) => buffers.concat([
+            layer.coordinates.buffer,
+            layer.ends.buffer,
+            layer.rings.buffer,
+            layer.types.buffer
+        ]),
+        []
+    );
+}
+export {transferables};
+
+// Provide the interface of an @mapbox/vector-tile feature.
+function packedFeature(layer, idx) {
+    const self = {};
+    const firstRing = (
+        0 === idx
+        ? 0
+        : layer.ends[idx - 1]
+    );
+    const lastRing = layer.ends[idx];
+
+    function ringStart(ring) {
+        return (
+            0 === ring
+            ? 0
+            : layer.rings[ring - 1]
+        );
+    }
+
+    self.extent = layer.extent;
+    self.id = layer.ids[idx];
+    self.properties = layer.properties[idx];
+    self.type = layer.types[idx];
+
+    self.loadGeometry = function loadGeometry() {
+        const geometry = [];
+        let ring = firstRing;
+        while (ring !== lastRing) {
+            const points = [];
+            let i = ringStart(ring);
+            while (i !== layer.rings[ring]) {
+                points.push(new Point(
+                    layer.coordinates[i],
+                    layer.coordinates[i + 1]
+                ));
+                i += 2;
+            }
+            geometry.push(points);
+            ring += 1;
+        }
+        return geometry;
+    };
+
+    self.bbox = function bbox() {
+        const {coordinates} = layer;
+        const end = (
+            firstRing === lastRing
+            ? 0
+            : layer.rings[lastRing - 1]
+        );
+        let x0 = Infinity;
+        let y0 = Infinity;
+        let x1 = -Infinity;
+        let y1 = -Infinity;
+        let i = ringStart(firstRing);
+        while (i < end) {
+            x0 = Math.min(x0, coordinates[i]);
+            y0 = Math.min(y0, coordinates[i + 1]);
+            x1 = Math.max(x1, coordinates[i]);
+            y1 = Math.max(y1, coordinates[i + 1]);
+            i += 2;
+        }
+        return [x0, y0, x1, y1];
+    };
+
+    return self;
+}
+
+// Provide the interface of an @mapbox/vector-tile VectorTile.
+function unpackVectorTile(packed) {
+    const layers = {};
+    packed.layers.forEach(function (layer) {
+        layers[layer.name] = {
+            extent: layer.extent,
+            feature: (idx) => packedFeature(layer, idx),
+            length: layer.types.length,
+            name: layer.name
+        };
+    });
+    return {layers};
+}
+export {unpackVectorTile};
@@ -0,0 +1,377 @@
+/*
+ * Copyright 2026, agent <agent@local>
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ *   1. Redistributions of source code must retain the above copyright
+ *      notice, this list of conditions and the following disclaimer.
+ *
+ *   2. Redistributions in binary form must reproduce the above copyright
+ *      notice, this list of conditions and the following disclaimer in the
+ *      documentation and/or other materials provided with the
+ *      distribution.
+ *
+ *   3. Neither the name of the copyright holder nor the names of its
+ *      contributors may be used to endorse or promote products derived
+ *      from this software without specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS"
+ * AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE
+ * IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE
+ * ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT HOLDER OR CONTRIBUTORS BE
+ * LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR
+ * CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF
+ * SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS
+ * INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN
+ * CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE)
+ * ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE
+ * POSSIBILITY OF SUCH DAMAGE.
+ */
+
+/*jslint browser*/
+
+/*property
+    DOMMatrix, Image, add, addColorStop, addEventListener, angle, appendChild,
+    assign, beginPath, clear, color, complete, create, createElement,
+    createLinearGradient, createPattern, crossed, delete, drawImage, fillColor,
+    fillPattern, firstChild, forEach, get, getContext, gradient, gradientUnits,
+    has, hatchAngle, hatchColor, hatchSpacing, hatchWeight, height, href,
+    iconSize, iconUrl, insertBefore, isArray, join, keys, length, lineTo,
+    lineWidth, map, max, min, moveTo, naturalHeight, naturalWidth, offset,
+    options, pattern, patternTransform, patternUnits, push, removeChild, rotate,
+    round, set, setAttribute, setTransform, size, spacing, src, stroke,
+    strokeGradient, strokeStyle, translate, url, weight, width, x, x1, x2, y,
+    y1, y2
+*/
+
+import {SVG} from "leaflet";
+
+/*
+ * Paint servers fill and stroke the features of a tile with patterns and
+ * gradients. Every tile has its own paint servers, which anchor patterns
+ * at the origin of the map's pixel space rather than the tile so that
+ * patterns continue seamlessly across tile borders.
+ */
+
+const hatchDefaults = {
+    hatchAngle: 45,
+    hatchSpacing: 8,
+    hatchWeight: 1
+};
+
+// Images used as patterns, indexed by URL.
+const images = new Map();
+
+// Pattern and gradient elements need ids that are unique in the document.
+let nextId = 0;
+
+function loadImage(url) {
+    if (!images.has(url)) {
+        const image = new window.Image();
+        image.src = url;
+        images.set(url, image);
+    }
+    return images.get(url);
+}
+
+function isHatch(pattern) {
+    return "hatch" === pattern || "crosshatch" === pattern;
+}
+
+function hatchStyle(style) {
+    const {
+        hatchAngle,
+        hatchSpacing,
+        hatchWeight
+    } = Object.assign({}, hatchDefaults, style);
+
+    return {
+        angle: hatchAngle,
+        color: style.hatchColor || style.fillColor || style.color,
+        crossed: "crosshatch" === style.fillPattern,
+        spacing: hatchSpacing,
+        weight: hatchWeight
+    };
+}
+
+// Return the URL and, if given by an L.Icon, the size of an image pattern.
+function imagePattern(pattern) {
+    if ("string" === typeof pattern) {
+        return {url: pattern};
+    }
+    const {iconSize, iconUrl} = pattern.options;
+    return {size: iconSize, url: iconUrl};
+}
+
+// Return the stops of a gradient as [offset, color] pairs. Colours without
+// offsets are spaced evenly.
+function gradientStops(gradient) {
+    const last = Math.max(1, gradient.length - 1);
+    return gradient.map((stop, idx) => (
+        Array.isArray(stop)
+        ? stop
+        : [idx / last, stop]
+    ));
+}
+
+// Return the end points of a gradient along the first ring of a feature
+// in tile pixels. Closed rings use the diagonal of their bounding box.
+function gradientLine(rings) {
+    const ring = rings[0];
+    if (!ring || !ring.length) {
+        return;
+    }
+    const first = ring[0];
+    const last = ring[ring.length - 1];
+    if (first.x !== last.x || first.y !== last.y) {
+        return [first, last];
+    }
+
+    const xs = ring.map((p) => p.x);
+    const ys = ring.map((p) => p.y);
+    return [
+        {x: Math.min(...xs), y: Math.min(...ys)},
+        {x: Math.max(...xs), y: Math.max(...ys)}
+    ];
+}
+export {gradientLine};
+
+// Paint servers for an SVG tile whose top left corner is at the given
+// point in map pixels. The returned values can be used as `fill` and
+// `stroke` attributes.
+function svgPaintServers(svg, origin) {
+    const self = {};
+    const m_defs = SVG.create("defs");
+    const m_urls = new Map();
+
+    svg.insertBefore(m_defs, svg.firstChild);
+
+    function define(key, create) {
+        if (!m_urls.has(key)) {
+            const element = create();
+            const id = `vector-tile-paint-${nextId}`;
+            nextId += 1;
+            element.setAttribute("id", id);
+            m_defs.appendChild(element);
+            m_urls.set(key, `url(#${id})`);
+        }
+        return m_urls.get(key);
+    }
+
+    function setAttributes(element, attributes) {
+        Object.keys(attributes).forEach(
+            (name) => element.setAttribute(name, attributes[name])
+        );
+        return element;
+    }
+
+    // Patterns are positioned in map pixels.
+    const m_translate = `translate(${-origin.x} ${-origin.y})`;
+
+    function alignedPattern(transform) {
+        return setAttributes(SVG.create("pattern"), {
+            patternTransform: m_translate + transform,
+            patternUnits: "userSpaceOnUse"
+        });
+    }
+
+    function hatchPattern(style) {
+        const {angle, color, crossed, spacing, weight} = hatchStyle(style);
+        const key = ["hatch", angle, color, crossed, spacing, weight].join("|");
+
+        return define(key, function () {
+            const pattern = setAttributes(
+                alignedPattern(` rotate(${angle})`),
+                {height: spacing, width: spacing}
+            );
+            const half = spacing / 2;
+            const lines = [[half, 0, half, spacing]];
+            if (crossed) {
+                lines.push([0, half, spacing, half]);
+            }
+            lines.forEach(function ([x1, y1, x2, y2]) {
+                pattern.appendChild(setAttributes(SVG.create("line"), {
+                    stroke: color,
+                    "stroke-width": weight,
+                    x1,
+                    x2,
+                    y1,
+                    y2
+                }));
+            });
+            return pattern;
+        });
+    }
+
+    function imagePatternUrl(style) {
+        const {size, url} = imagePattern(style.fillPattern);
+
+        return define(`image|${url}|${size}`, function () {
+            const pattern = alignedPattern("");
+            const image = setAttributes(SVG.create("image"), {href: url});
+            pattern.appendChild(image);
+
+            function setSize(width, height) {
+                setAttributes(pattern, {height, width});
+                setAttributes(image, {height, width});
+            }
+
+            // Patterns of plain URLs take on the size of the image.
+            if (size) {
+                setSize(size[0], size[1]);
+            } else {
+                const loaded = loadImage(url);
+                setSize(loaded.naturalWidth, loaded.naturalHeight);
+                loaded.addEventListener("load", function () {
+                    setSize(loaded.naturalWidth, loaded.naturalHeight);
+                });
+            }
+            return pattern;
+        });
+    }
+
+    self.pattern = function pattern(style) {
+        return (
+            isHatch(style.fillPattern)
+            ? hatchPattern(style)
+            : imagePatternUrl(style)
+        );
+    };
+
+    self.gradient = function gradient(style, line) {
+        const stops = gradientStops(style.strokeGradient);
+        const [a, b] = line;
+        const key = `gradient|${stops.join(";")}|${a.x},${a.y},${b.x},${b.y}`;
+
+        return define(key, function () {
+            const element = setAttributes(SVG.create("linearGradient"), {
+                gradientUnits: "userSpaceOnUse",
+                x1: a.x,
+                x2: b.x,
+                y1: a.y,
+                y2: b.y
+            });
+            stops.forEach(function ([offset, color]) {
+                element.appendChild(setAttributes(SVG.create("stop"), {
+                    offset,
+                    "stop-color": color
+                }));
+            });
+            return element;
+        });
+    };
+
+    self.clear = function clear() {
+        while (m_defs.firstChild) {
+            m_defs.removeChild(m_defs.firstChild);
+        }
+        m_urls.clear();
+    };
+
+    return self;
+}
+export {svgPaintServers};
+
+// Paint servers for a canvas tile whose top left corner is at the given
+// point in map pixels. The returned values can be used as `fillStyle` and
+// `strokeStyle`. Image patterns are undefined until the image has loaded,
+// when the update function is called.
+function canvasPaintServers(origin, update) {
+    const self = {};
+    const m_patterns = new Map();
+    const m_loading = new Set();
+
+    function aligned(pattern, angle) {
+        pattern.setTransform(
+            new window.DOMMatrix().translate(-origin.x, -origin.y).rotate(
+                angle
+            )
+        );
+        return pattern;
+    }
+
+    function hatchPattern(ctx, style) {
+        const {angle, color, crossed, spacing, weight} = hatchStyle(style);
+        const key = ["hatch", angle, color, crossed, spacing, weight].join("|");
+
+        if (!m_patterns.has(key)) {
+            const size = Math.max(1, Math.round(spacing));
+            const canvas = document.createElement("canvas");
+            canvas.width = size;
+            canvas.height = size;
+
+            const hatchCtx = canvas.getContext("2d");
+            hatchCtx.strokeStyle = color;
+            hatchCtx.lineWidth = weight;
+            hatchCtx.beginPath();
+            hatchCtx.moveTo(size / 2, 0);
+            hatchCtx.lineTo(size / 2, size);
+            if (crossed) {
+                hatchCtx.moveTo(0, size / 2);
+                hatchCtx.lineTo(size, size / 2);
+            }
+            hatchCtx.stroke();
+
+            m_patterns.set(
+                key,
+                aligned(ctx.createPattern(canvas, "repeat"), angle)
+            );
+        }
+        return m_patterns.get(key);
+    }
+
+    function imagePatternFill(ctx, style) {
+        const {size, url} = imagePattern(style.fillPattern);
+        const key = `image|${url}|${size}`;
+        if (m_patterns.has(key)) {
+            return m_patterns.get(key);
+        }
+
+        const image = loadImage(url);
+        if (!image.complete) {
+            if (!m_loading.has(url)) {
+                m_loading.add(url);
+                image.addEventListener("load", function () {
+                    m_loading.delete(url);
+                    update();
+                });
+            }
+            return;
+        }
+        if (!image.naturalWidth) {
+            // The image failed to load.
+            return;
+        }
+
+        let source = image;
+        if (size) {
+            source = document.createElement("canvas");
+            source.width = size[0];
+            source.height = size[1];
+            source.getContext("2d").drawImage(image, 0, 0, size[0], size[1]);
+        }
+        m_patterns.set(key, aligned(ctx.createPattern(source, "repeat"), 0));
+        return m_patterns.get(key);
+    }
+
+    self.pattern = function pattern(ctx, style) {
+        return (
+            isHatch(style.fillPattern)
+            ? hatchPattern(ctx, style)
+            : imagePatternFill(ctx, style)
+        );
+    };
+
+    self.gradient = function gradient(ctx, style, line) {
+        const [a, b] = line;
+        const result = ctx.createLinearGradient(a.x, a.y, b.x, b.y);
+        gradientStops(style.strokeGradient).forEach(function ([offset, color]) {
+            result.addColorStop(offset, color);
+        });
+        return result;
+    };
+
+    return self;
+}
+export {canvasPaintServers};
@@ -0,0 +1,323 @@
+/*
+ * Copyright 2026, agent <agent@local>
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ *   1. Redistributions of source code must retain the above copyright
+ *      notice, this list of conditions and the following disclaimer.
+ *
+ *   2. Redistributions in binary form must reproduce the above copyright
+ *      notice, this list of conditions and the following disclaimer in the
+ *      documentation and/or other materials provided with the
+ *      distribution.
+ *
+ *   3. Neither the name of the copyright holder nor the names of its
+ *      contributors may be used to endorse or promote products derived
+ *      from this software without specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS"
+ * AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE
+ * IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE
+ * ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT HOLDER OR CONTRIBUTORS BE
+ * LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR
+ * CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF
+ * SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS
+ * INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN
+ * CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE)
+ * ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE
+ * POSSIBILITY OF SUCH DAMAGE.
+ */
+
+/*property
+    _map, add, addLayer, addTo, aggregate, bounds, clear, clearLayers, cluster,
+    coords, count, delete, distanceTo, divideBy, eachFeatureLayer, extend,
+    feature, featureLayer, fillOpacity, filter, fire, fitBounds, floor, forEach,
+    freeze, get, global, has, icon, includes, join, keys, latlng, layerName,
+    layers, length, loadGeometry, log10, map, marker, max, maxZoom, mean,
+    members, min, minPoints, multiplyBy, on, originalEvent, properties, push,
+    radius, reduce, remove, removeLayer, round, scalePoint, set, setSuppressed,
+    sort, style, sum, tileSize, type, unproject, update, x, y, z, zoomOnClick
+*/
+
+import {Util, circleMarker, latLngBounds, layerGroup, marker} from "leaflet";
+
+/*
+ * Group the points of the given vector-tile layers on all tiles at the
+ * current zoom level into clusters, which are drawn as markers instead of
+ * their members. Clusters provide their `count`, their members' feature
+ * layers, the `latlng` of their centre, the `bounds` of their members and
+ * `properties` aggregated from their members.
+ */
+
+const defaultOptions = {
+    aggregate: {},
+    layers: [],
+    maxZoom: Infinity,
+    minPoints: 2,
+    radius: 60,
+    style: (cluster) => ({
+        fillOpacity: 0.7,
+        radius: Math.round(10 + 5 * Math.log10(cluster.count))
+    }),
+    zoomOnClick: true
+};
+
+// Operations aggregating a property of the members of a cluster.
+const aggregations = {
+    max: (values) => Math.max(...values),
+    mean: (values) => values.reduce((a, b) => a + b, 0) / values.length,
+    min: (values) => Math.min(...values),
+    sum: (values) => values.reduce((a, b) => a + b, 0)
+};
+
+function aggregate(spec, members) {
+    const properties = {};
+    Object.keys(spec).forEach(function (name) {
+        const [operation, property] = spec[name];
+        const values = members.map(
+            (member) => member.feature.properties[property]
+        ).filter(
+            (value) => "number" === typeof value
+        );
+        properties[name] = (
+            values.length
+            ? aggregations[operation](values)
+            : undefined
+        );
+    });
+    return properties;
+}
+
+function pointKey(p) {
+    const {x, y} = p.global.round();
+    return `${p.featureLayer.layerName}|${x}|${y}`;
+}
+
+// Feature layers created by a custom featureToLayer may not support being
+// suppressed.
+function setSuppressed(featureLayer, suppressed) {
+    if (featureLayer.setSuppressed) {
+        featureLayer.setSuppressed(suppressed);
+    }
+}
+
+// Return the points of the clustered layers on the tiles at the zoom level
+// with their position in map pixels, skipping those that aren't included.
+// Points in the buffer of a tile are clustered by the tile containing them
+// and returned separately.
+function tilePoints(tiles, layers, zoom, included) {
+    const points = [];
+    const buffered = [];
+
+    tiles.forEach(function (tile) {
+        if (tile.coords().z !== zoom) {
+            return;
+        }
+        const size = tile.tileSize();
+        tile.eachFeatureLayer(function (featureLayer) {
+            const {feature, layerName} = featureLayer;
+            if (
+                !feature ||
+                1 !== feature.type ||
+                !layers.includes(layerName) ||
+                !included(featureLayer)
+            ) {
+                return;
+            }
+            const p = featureLayer.scalePoint(feature.loadGeometry()[0][0]);
+            const point = {featureLayer, global: tile.global(p)};
+            if (p.x < 0 || p.y < 0 || size.x <= p.x || size.y <= p.y) {
+                buffered.push(point);
+            } else {
+                points.push(point);
+            }
+        });
+    });
+
+    return [points, buffered];
+}
+
+// Greedily group the points within the radius of not yet clustered
+// points.
+function groupPoints(points, radius) {
+    const grid = new Map();
+    const cellKey = (x, y) => `${x}|${y}`;
+    const cellOf = (p) => [
+        Math.floor(p.global.x / radius),
+        Math.floor(p.global.y / radius)
+    ];
+
+    points.forEach(function (p) {
+        const key = cellKey(...cellOf(p));
+        if (!grid.has(key)) {
+            grid.set(key, []);
+        }
+        grid.get(key).push(p);
+    });
+
+    const assigned = new Set();
+    const groups = [];
+    points.forEach(function (seed) {
+        if (assigned.has(seed)) {
+            return;
+        }
+        const [cx, cy] = cellOf(seed);
+        const group = [];
+        [-1, 0, 1].forEach(function (dy) {
+            [-1, 0, 1].forEach(function (dx) {
+                const cell = grid.get(cellKey(cx + dx, cy + dy)) || [];
+                cell.forEach(function (p) {
+                    if (
+                        !assigned.has(p) &&
+                        p.global.distanceTo(seed.global) <= radius
+                    ) {
+                        assigned.add(p);
+                        group.push(p);
+                    }
+                });
+            });
+        });
+        groups.push(group);
+    });
+
+    return groups;
+}
+
+export default Object.freeze(function pointClusters(layer, options) {
+    const self = {};
+    options = Util.extend({}, defaultOptions, options);
+
+    const m_markers = layerGroup();
+
+    // The markers of the current clusters with the clusters they show,
+    // indexed by the keys of their members. Markers are kept while their
+    // cluster has the same members.
+    let m_clusterMarkers = new Map();
+
+    // Return a marker for the cluster of the entry, which may later be
+    // replaced by an equal cluster.
+    function clusterMarker(entry, zoom) {
+        const {cluster} = entry;
+        const style = (
+            "function" === typeof options.style
+            ? options.style(cluster, zoom)
+            : options.style
+        );
+        const result = (
+            style.icon
+            ? marker(cluster.latlng, style)
+            : circleMarker(cluster.latlng, style)
+        );
+
+        result.on("click", function (evt) {
+            layer.fire("clusterclick", {
+                cluster: entry.cluster,
+                latlng: entry.cluster.latlng,
+                originalEvent: evt.originalEvent
+            });
+            if (options.zoomOnClick && layer._map) {
+                layer._map.fitBounds(entry.cluster.bounds);
+            }
+        });
+
+        return result;
+    }
+
+    function clearMarkers() {
+        m_markers.clearLayers();
+        m_clusterMarkers.clear();
+    }
+
+    // Cluster the points on the tiles for which included() returns true and
+    // return the set of feature layers that are hidden because they belong
+    // to a cluster.
+    self.update = function update(map, tiles, zoom, included) {
+        const clustered = new Set();
+        const clusteredKeys = new Set();
+        const markers = new Map();
+        if (!map) {
+            clearMarkers();
+            return clustered;
+        }
+        m_markers.addTo(map);
+
+        const [points, buffered] = tilePoints(
+            tiles,
+            options.layers,
+            zoom,
+            included
+        );
+        const groups = (
+            zoom <= options.maxZoom
+            ? groupPoints(points, options.radius)
+            : points.map((p) => [p])
+        );
+
+        groups.forEach(function (group) {
+            const members = group.map((p) => p.featureLayer);
+            if (group.length < options.minPoints) {
+                members.forEach((member) => setSuppressed(member, false));
+                return;
+            }
+
+            const center = group.reduce(
+                (sum, p) => sum.add(p.global),
+                group[0].global.multiplyBy(0)
+            ).divideBy(group.length);
+            const cluster = {
+                bounds: latLngBounds(group.map(
+                    (p) => map.unproject(p.global, zoom)
+                )),
+                count: group.length,
+                latlng: map.unproject(center, zoom),
+                members,
+                properties: aggregate(options.aggregate, members)
+            };
+
+            members.forEach(function (member) {
+                setSuppressed(member, true);
+                clustered.add(member);
+            });
+            const keys = group.map(pointKey);
+            keys.forEach((key) => clusteredKeys.add(key));
+
+            const key = keys.sort().join(" ");
+            let entry = m_clusterMarkers.get(key);
+            if (entry) {
+                entry.cluster = cluster;
+                m_clusterMarkers.delete(key);
+            } else {
+                entry = {cluster};
+                entry.marker = clusterMarker(entry, zoom);
+                m_markers.addLayer(entry.marker);
+            }
+            markers.set(key, entry);
+        });
+
+        // Remove the markers of clusters that no longer exist.
+        m_clusterMarkers.forEach(
+            (entry) => m_markers.removeLayer(entry.marker)
+        );
+        m_clusterMarkers = markers;
+
+        // Copies of points in the buffers of neighbouring tiles follow the
+        // original.
+        buffered.forEach(function (p) {
+            const hidden = clusteredKeys.has(pointKey(p));
+            setSuppressed(p.featureLayer, hidden);
+            if (hidden) {
+                clustered.add(p.featureLayer);
+            }
+        });
+
+        return clustered;
+    };
+
+    self.remove = function remove() {
+        clearMarkers();
+        m_markers.remove();
+    };
+
+    return self;
+});
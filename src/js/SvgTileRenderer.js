@@ -0,0 +1,131 @@
+/*
+ * Copyright 2026, agent <agent@local>
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ *   1. Redistributions of source code must retain the above copyright
+ *      notice, this list of conditions and the following disclaimer.
+ *
+ *   2. Redistributions in binary form must reproduce the above copyright
+ *      notice, this list of conditions and the following disclaimer in the
+ *      documentation and/or other materials provided with the
+ *      distribution.
+ *
+ *   3. Neither the name of the copyright holder nor the names of its
+ *      contributors may be used to endorse or promote products derived
+ *      from this software without specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS"
+ * AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE
+ * IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE
+ * ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT HOLDER OR CONTRIBUTORS BE
+ * LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR
+ * CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF
+ * SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS
+ * INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN
+ * CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE)
+ * ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE
+ * POSSIBILITY OF SUCH DAMAGE.
+ */
+
+/*property
+    addFeatureLayer, addPlaceholder, appendChild, classList, clear,
+    clearPlaceholders, cloneNode, create, domElement, featureLayer, firstChild,
+    forEach, freeze, graphics, length, offset, querySelectorAll, remove,
+    removeAttribute, removeChild, setAttribute, setOverflow, setPaintServers, x,
+    y
+*/
+
+import {SVG} from "leaflet";
+import {svgPaintServers} from "./PaintServer.js";
+
+// Return a copy of the element which doesn't receive mouse events. Ids are
+// removed so that references keep pointing to the original elements.
+function inertCopy(element) {
+    const copy = element.cloneNode(true);
+    copy.removeAttribute("id");
+    copy.querySelectorAll(".leaflet-interactive").forEach(
+        (node) => node.classList.remove("leaflet-interactive")
+    );
+    copy.querySelectorAll("[pointer-events]").forEach(
+        (node) => node.removeAttribute("pointer-events")
+    );
+    copy.querySelectorAll("[id]").forEach(
+        (node) => node.removeAttribute("id")
+    );
+    return copy;
+}
+
+// The origin is the top left corner of the tile in map pixels.
+export default Object.freeze(function svgTileRenderer(tileSize, origin) {
+    const self = {};
+    const m_svg = SVG.create("svg");
+    const m_placeholders = SVG.create("g");
+    const m_rootGroup = SVG.create("g");
+    const m_overflow = SVG.create("g");
+
+    m_svg.setAttribute("viewBox", `0 0 ${tileSize.x} ${tileSize.y}`);
+    m_placeholders.setAttribute("pointer-events", "none");
+    m_overflow.setAttribute("pointer-events", "none");
+    m_svg.appendChild(m_placeholders);
+    m_svg.appendChild(m_rootGroup);
+    m_svg.appendChild(m_overflow);
+
+    function removeChildren(element) {
+        while (element.firstChild) {
+            element.removeChild(element.firstChild);
+        }
+    }
+
+    const m_paintServers = svgPaintServers(m_svg, origin);
+
+    self.addFeatureLayer = function addFeatureLayer(featureLayer) {
+        m_rootGroup.appendChild(featureLayer.graphics);
+        if (featureLayer.setPaintServers) {
+            featureLayer.setPaintServers(m_paintServers);
+        }
+    };
+
+    self.clear = function clear() {
+        removeChildren(m_rootGroup);
+        removeChildren(m_overflow);
+        m_paintServers.clear();
+    };
+
+    // Show a copy of another tile's SVG element at the given position and
+    // size in tile pixels until the features have been added. The copy
+    // doesn't receive mouse events.
+    self.addPlaceholder = function addPlaceholder(element, position, size) {
+        const copy = inertCopy(element);
+        copy.setAttribute("x", position.x);
+        copy.setAttribute("y", position.y);
+        copy.setAttribute("width", size.x);
+        copy.setAttribute("height", size.y);
+        m_placeholders.appendChild(copy);
+    };
+
+    self.clearPlaceholders = () => removeChildren(m_placeholders);
+
+    // Show the parts of other tiles' labels and icons which extend into
+    // this tile, given the feature layers and their offsets in tile pixels.
+    self.setOverflow = function setOverflow(overflow) {
+        if (0 === overflow.length && !m_overflow.firstChild) {
+            return;
+        }
+        removeChildren(m_overflow);
+        overflow.forEach(function ({featureLayer, offset}) {
+            const group = SVG.create("g");
+            group.setAttribute(
+                "transform",
+                `translate(${offset.x} ${offset.y})`
+            );
+            group.appendChild(inertCopy(featureLayer.graphics));
+            m_overflow.appendChild(group);
+        });
+    };
+
+    self.domElement = () => m_svg;
+
+    return self;
+});
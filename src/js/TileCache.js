@@ -0,0 +1,256 @@
+/*
+ * Copyright 2026, agent <agent@local>
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ *   1. Redistributions of source code must retain the above copyright
+ *      notice, this list of conditions and the following disclaimer.
+ *
+ *   2. Redistributions in binary form must reproduce the above copyright
+ *      notice, this list of conditions and the following disclaimer in the
+ *      documentation and/or other materials provided with the
+ *      distribution.
+ *
+ *   3. Neither the name of the copyright holder nor the names of its
+ *      contributors may be used to endorse or promote products derived
+ *      from this software without specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS"
+ * AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE
+ * IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE
+ * ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT HOLDER OR CONTRIBUTORS BE
+ * LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR
+ * CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF
+ * SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS
+ * INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN
+ * CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE)
+ * ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE
+ * POSSIBILITY OF SUCH DAMAGE.
+ */
+
+/*jslint browser*/
+
+/*property
+    aborted, all, assign, byteLength, catch, continue, createIndex,
+    createObjectStore, data, delete, entry, error, freeze, get, getAll, getTile,
+    id, index, indexedDB, key, keyPath, layers, maxAge, maxSize, name, now,
+    objectStore, onabort, oncomplete, onerror, onsuccess, onupgradeneeded, open,
+    openCursor, put, reduce, reject, result, revalidate, size, stored, then,
+    time, transaction, used, value, x, y, z
+*/
+
+import {err} from "./Load.js";
+
+/*
+ * Wrap a tile source so that its tiles are stored in IndexedDB. Stored
+ * tiles are used while they are younger than `maxAge` milliseconds, and
+ * beyond that if the source fails to provide them, for example when the
+ * device is offline. The least recently used tiles are evicted once the
+ * stored tiles exceed `maxSize` bytes. Only raw tile data is stored,
+ * tiles decoded by the source pass through unchanged. Sources sharing a
+ * database are told apart by their `id`.
+ */
+
+const defaultOptions = {
+    id: undefined,
+    maxAge: 7 * 24 * 60 * 60 * 1000,
+    maxSize: 50 * 1024 * 1024,
+    name: "leaflet-vector-tile-layer"
+};
+
+const dataStore = "data";
+const entryStore = "entries";
+
+// Resolve to the result of an IndexedDB request.
+function result(request) {
+    return new Promise(function (resolve, reject) {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// Resolve once an IndexedDB transaction has completed.
+function complete(transaction) {
+    return new Promise(function (resolve, reject) {
+        transaction.oncomplete = () => resolve();
+        transaction.onabort = () => reject(transaction.error);
+        transaction.onerror = () => reject(transaction.error);
+    });
+}
+
+// Tiles are stored separately for each source id and time range.
+function tileKey(id, coords) {
+    const position = `${coords.z}/${coords.x}/${coords.y}`;
+    const key = (
+        undefined === id
+        ? position
+        : `${id}/${position}`
+    );
+    return (
+        undefined === coords.time
+        ? key
+        : `${key}/${coords.time}`
+    );
+}
+
+export default Object.freeze(function tileCache(source, options) {
+    const self = {};
+    const {
+        id,
+        maxAge,
+        maxSize,
+        name
+    } = Object.assign({}, defaultOptions, options);
+    let m_size = 0;
+
+    function open() {
+        if (!window.indexedDB) {
+            return Promise.reject(err(name, "IndexedDB unavailable"));
+        }
+
+        const request = window.indexedDB.open(name, 1);
+        request.onupgradeneeded = function () {
+            const db = request.result;
+            db.createObjectStore(dataStore);
+            db.createObjectStore(entryStore, {keyPath: "key"}).createIndex(
+                "used",
+                "used"
+            );
+        };
+
+        return result(request).then(function (db) {
+            const store = db.transaction(entryStore).objectStore(entryStore);
+            return result(store.getAll()).then(function (entries) {
+                m_size = entries.reduce((size, entry) => size + entry.size, 0);
+                return db;
+            });
+        });
+    }
+
+    const m_db = open();
+
+    // Resolve to the stored entry and data for the key, if any.
+    function read(key) {
+        return m_db.then(function (db) {
+            const transaction = db.transaction([dataStore, entryStore]);
+            return Promise.all([
+                result(transaction.objectStore(entryStore).get(key)),
+                result(transaction.objectStore(dataStore).get(key))
+            ]);
+        }).then(function ([entry, data]) {
+            return entry && {data, entry};
+        }).catch(
+            () => undefined
+        );
+    }
+
+    // Remove the least recently used tiles until the size limit is met.
+    function evict(db) {
+        const transaction = db.transaction(
+            [dataStore, entryStore],
+            "readwrite"
+        );
+        const entries = transaction.objectStore(entryStore);
+        const request = entries.index("used").openCursor();
+
+        request.onsuccess = function () {
+            const cursor = request.result;
+            if (!cursor || m_size <= maxSize) {
+                return;
+            }
+            m_size -= cursor.value.size;
+            transaction.objectStore(dataStore).delete(cursor.value.key);
+            cursor.delete();
+            cursor.continue();
+        };
+
+        return complete(transaction);
+    }
+
+    function write(key, data, previous) {
+        const now = Date.now();
+        const entry = {
+            key,
+            size: (
+                data
+                ? data.byteLength
+                : 0
+            ),
+            stored: now,
+            used: now
+        };
+
+        return m_db.then(function (db) {
+            const transaction = db.transaction(
+                [dataStore, entryStore],
+                "readwrite"
+            );
+            transaction.objectStore(dataStore).put(data, key);
+            transaction.objectStore(entryStore).put(entry);
+
+            return complete(transaction).then(function () {
+                m_size += entry.size - (
+                    previous
+                    ? previous.size
+                    : 0
+                );
+                return maxSize < m_size && evict(db);
+            });
+        }).catch(
+            () => undefined
+        );
+    }
+
+    function touch(entry) {
+        m_db.then(function (db) {
+            const transaction = db.transaction(entryStore, "readwrite");
+            entry.used = Date.now();
+            transaction.objectStore(entryStore).put(entry);
+            return complete(transaction);
+        }).catch(
+            () => undefined
+        );
+    }
+
+    // Revalidated tiles are always requested from the source.
+    self.getTile = function getTile(coords, signal, options) {
+        const key = tileKey(id, coords);
+        const revalidate = Boolean(options && options.revalidate);
+
+        return read(key).then(function (cached) {
+            if (
+                cached &&
+                !revalidate &&
+                Date.now() - cached.entry.stored < maxAge
+            ) {
+                touch(cached.entry);
+                return cached.data;
+            }
+
+            return source.getTile(coords, signal, options).then(
+                function (data) {
+                    if (false === data) {
+                        if (cached) {
+                            touch(cached.entry);
+                        }
+                        return data;
+                    }
+                    if (!data || !data.layers) {
+                        write(key, data, cached && cached.entry);
+                    }
+                    return data;
+                },
+                function (exc) {
+                    if (!cached || (signal && signal.aborted)) {
+                        throw exc;
+                    }
+                    touch(cached.entry);
+                    return cached.data;
+                }
+            );
+        });
+    };
+
+    return self;
+});
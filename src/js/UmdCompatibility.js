@@ -33,13 +33,27 @@ import vectorTileLayer from "./VectorTileLayer.js";
 import {
     applyBasicStyle,
     applyImageStyle,
+    applyLabelStyle,
     applyPathStyle,
     defaultFeatureLayer,
     featureCircleLayer,
     featureIconLayer,
+    featureLabelLayer,
     featureLayerBase,
     featurePathLayer
 } from "./FeatureLayer.js";
+import {
+    canvasCircleLayer,
+    canvasFeatureLayerBase,
+    canvasIconLayer,
+    canvasLabelLayer,
+    canvasPathLayer,
+    defaultCanvasFeatureLayer,
+    drawCanvasPath
+} from "./CanvasFeatureLayer.js";
+import geoJSONSource from "./GeoJSONSource.js";
+import glStyle from "./GLStyle.js";
+import pmtilesSource from "./PMTilesSource.js";
 
 function umdCompatibility(...args) {
     return vectorTileLayer(...args);
@@ -54,12 +68,24 @@ Object.assign(
         default: vectorTileLayer,
         applyBasicStyle,
         applyImageStyle,
+        applyLabelStyle,
         applyPathStyle,
+        canvasCircleLayer,
+        canvasFeatureLayerBase,
+        canvasIconLayer,
+        canvasLabelLayer,
+        canvasPathLayer,
+        defaultCanvasFeatureLayer,
         defaultFeatureLayer,
+        drawCanvasPath,
         featureCircleLayer,
         featureIconLayer,
+        featureLabelLayer,
         featureLayerBase,
-        featurePathLayer
+        featurePathLayer,
+        geoJSONSource,
+        glStyle,
+        pmtilesSource
     }
 );
 
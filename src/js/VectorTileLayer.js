@@ -32,57 +32,125 @@
 /*jslint browser*/
 
 /*property
-    _globalTileRange, _tileZoom, abs, addEventParent, addFeatureLayer, addTo,
-    addVectorTile, arrayBuffer, bbox, call, coords, createTile, crs, divideBy,
-    domElement, eachFeatureLayer, extend, feature, featureToLayer, fetchOptions,
-    filter, forEach, freeze, getBounds, getFeatureId, getFeatureStyle,
-    getOrderedLayers, getPrototypeOf, getTileSize, getTileUrl, getZoomScale,
-    global, infinite, isArray, join, keys, layerName, layerOrder, layers,
-    length, max, maxDetailZoom, maxZoom, min, minDetailZoom, minZoom, ok, on,
-    onAdd, onRemove, options, properties, removeEventParent, removeFeatureLayer,
-    removeFrom, resetFeatureStyle, round, s, setFeatureStyle, setStyle, split,
-    status, statusText, style, subdomains, template, then, type, unproject,
-    vectorTileLayerStyles, x, y, z, zoomOffset, zoomReverse
+    AbortController, _tileZoom, abort, aborted, abs, add, addEventParent,
+    addFeatureLayer, addPlaceholder, addTo, addVectorTile, all, attempts,
+    baseURI, bbox, bounds, cache, call, catch, clear, clearPlaceholders,
+    cluster, compression, concat, controller, coordinates, coords, createTile,
+    crs, dedupe, delete, divideBy, domElement, eachFeatureLayer, emptyStatuses,
+    error, etags, extend, failed, feature, featureId, featureToLayer, features,
+    fetchOptions, filter, fire, floor, forEach, fragments, freeze, from,
+    geometry, get, getBounds, getFeatureBounds, getFeatureId, getFeatureState,
+    getFeatureStyle, getNorthWest, getOrderedLayers, getProjectedBounds,
+    getPrototypeOf, getSouthEast, getTile, getTileCacheStats, getTileSize,
+    getTileUrl, getTime, getTimeRange, getZoomScale, global, has, hidden, hits,
+    id, includes, infinite, intersects, invalidate, invalidated, isArray,
+    isFeatureTooSmall, keys, kind, lat, latLngToPoint, layer, layerName,
+    layerOrder, layers, length, lng, load, loadGeometry, loadOptions, loaded,
+    map, max, maxDetailZoom, maxZoom, merged, min, minDetailZoom,
+    minFeatureArea, minFeatureLength, minZoom, misses, multiplyBy, next, on,
+    onAdd, onRemove, options, overlaps, overzoom, parts, place, placeholders,
+    placement, pop, prefetch, project, promise, propagatedFrom, properties,
+    push, queryFeatures, queryFeaturesInBounds, reason, reduce, refresh,
+    refreshInterval, reject, remove, removeEventParent, removeFeatureLayer,
+    removeFeatureState, removeFrom, renderer, requestAnimFrame,
+    resetFeatureStyle, resolve, retries, retryDelay, retryFailedTiles,
+    revalidate, round, s, scaleBy, scalePoint, set, setFeatureState,
+    setFeatureStyle, setHovered, setStyle, setTime, setTimeRange, signal,
+    simplify, size, slice, some, sort, sourceTarget, split, status, style,
+    subdomains, subtract, template, test, then, tile, tileCacheSize, tileSize,
+    tileSource, time, timeProperty, timeout, to, toGeoJSON, toISOString,
+    tolerance, total, type, unproject, unscaleBy, update, url, users, value,
+    vectorTileLayerStyles, worker, x, y, z, zoom, zoomOffset, zoomReverse
 */
 
+import canvasTileRenderer from "./CanvasTileRenderer.js";
+import decompress from "./Decompress.js";
 import featureTile from "./FeatureTile.js";
+import geoJSONSource from "./GeoJSONSource.js";
+import glStyle from "./GLStyle.js";
+import {compileFilter, compileStyle} from "./Expression.js";
+import labelPlacement from "./LabelPlacement.js";
+import overzoomVectorTile from "./Overzoom.js";
+import load from "./Load.js";
+import {err, loadError} from "./Load.js";
+import pmtilesSource from "./PMTilesSource.js";
+import pointClusters from "./PointClusters.js";
+import svgTileRenderer from "./SvgTileRenderer.js";
+import tileCache from "./TileCache.js";
+import workerLoader from "./WorkerLoader.js";
+import {
+    canvasCircleLayer,
+    canvasFeatureLayerBase,
+    canvasIconLayer,
+    canvasLabelLayer,
+    canvasPathLayer,
+    defaultCanvasFeatureLayer,
+    drawCanvasPath
+} from "./CanvasFeatureLayer.js";
 import {
     applyBasicStyle,
     applyImageStyle,
+    applyLabelStyle,
     applyPathStyle,
     defaultFeatureLayer,
     featureCircleLayer,
     featureIconLayer,
+    featureLabelLayer,
     featureLayerBase,
     featurePathLayer
 } from "./FeatureLayer.js";
-import {GridLayer, Util, latLngBounds} from "leaflet";
+import {
+    classifyRings,
+    clipLine,
+    clipRing,
+    containsPoint,
+    dissolvePolygons,
+    intersects,
+    joinLines,
+    lineDistance,
+    ringArea,
+    ringsBbox,
+    ringsContain,
+    ringsLength
+} from "./Geometry.js";
+import {GridLayer, Util, latLngBounds, point} from "leaflet";
 import Pbf from "pbf";
 import {VectorTile} from "@mapbox/vector-tile";
 
 export {
     applyBasicStyle,
     applyImageStyle,
+    applyLabelStyle,
     applyPathStyle,
+    canvasCircleLayer,
+    canvasFeatureLayerBase,
+    canvasIconLayer,
+    canvasLabelLayer,
+    canvasPathLayer,
+    defaultCanvasFeatureLayer,
     defaultFeatureLayer,
+    drawCanvasPath,
     featureCircleLayer,
     featureIconLayer,
+    featureLabelLayer,
     featureLayerBase,
-    featurePathLayer
+    featurePathLayer,
+    geoJSONSource,
+    glStyle,
+    pmtilesSource
 };
 
-function err(...args) {
-    return new Error(args.join(": "));
+// PMTiles archives are recognised by their file name extension.
+function isPMTiles(url) {
+    return (/\.pmtiles$/).test(url.split(/[?#]/)[0]);
 }
 
-function load(url, options) {
-    return fetch(url, options).then(function (response) {
-        if (response.ok) {
-            return response.arrayBuffer();
-        }
-        if (404 !== response.status) {
-            throw err(url, response.status, response.statusText);
-        }
+// Decompress and decode a tile, classifying any failure as a decode error.
+function decodeVectorTile(data, compression) {
+    return decompress(data, compression).then(
+        (buffer) => new VectorTile(new Pbf(buffer))
+    ).catch(function (exc) {
+        throw loadError(exc, {kind: "decode"});
     });
 }
 
@@ -90,8 +158,153 @@ function tileId(coords) {
     return `${coords.x}|${coords.y}|${coords.z}`;
 }
 
+// Filters may be given as expressions, see Expression.js.
+function compiledFilter(filter) {
+    if (!filter || "function" === typeof filter) {
+        return filter;
+    }
+    const compiled = compileFilter(filter, "filter");
+    return (feature, ignore, zoom) => compiled(feature, zoom);
+}
+
+// Style objects may contain expressions, which are compiled once and
+// evaluated for every feature.
+function compiledStyle(style) {
+    if (!style || "function" === typeof style) {
+        return style;
+    }
+    const compiled = compileStyle(style, "style");
+    return (feature, ignore, zoom) => compiled(feature, zoom);
+}
+
+// Return the time as a number for comparisons. Dates and date strings
+// become milliseconds since the epoch.
+function timeValue(time) {
+    return (
+        "number" === typeof time
+        ? time
+        : new Date(time).getTime()
+    );
+}
+
+// Return the time range as the `{time}` parameter of tile URLs, either a
+// single time or an ISO 8601 interval. Dates are given in ISO 8601 format.
+function timeParameter(from, to) {
+    const format = (time) => (
+        "object" === typeof time
+        ? time.toISOString()
+        : String(time)
+    );
+    return (
+        timeValue(from) === timeValue(to)
+        ? format(from)
+        : `${format(from)}/${format(to)}`
+    );
+}
+
+// The names of vector-tile geometry types.
+const geometryTypes = ["Unknown", "Point", "LineString", "Polygon"];
+
+// Return the parts of a feature in tile pixels inside the bounding box:
+// points, lines or polygons as arrays of rings, depending on the type.
+function geometryParts(rings, type, bbox) {
+    if (1 === type) {
+        return rings.reduce(
+            (points, ring) => points.concat(
+                ring.filter((p) => containsPoint(bbox, p))
+            ),
+            []
+        );
+    }
+    if (2 === type) {
+        return rings.reduce(
+            (lines, ring) => lines.concat(clipLine(ring, bbox)),
+            []
+        );
+    }
+    if (3 === type) {
+        return classifyRings(rings.map(
+            (ring) => clipRing(ring, bbox)
+        ).filter(
+            (ring) => 0 !== ring.length
+        ));
+    }
+    return [];
+}
+
+// Apply the function to all points of the parts returned by
+// geometryParts().
+function mapParts(parts, type, func) {
+    if (1 === type) {
+        return parts.map(func);
+    }
+    if (2 === type) {
+        return parts.map((line) => line.map(func));
+    }
+    return parts.map((polygon) => polygon.map((ring) => ring.map(func)));
+}
+
+// Merge the parts of a feature in map pixels taken from several tiles of
+// the given size: polygons are dissolved along tile edges, lines are joined
+// where they were cut and points on tile edges are only kept once.
+function mergeParts(parts, type, size) {
+    if (1 === type) {
+        const seen = new Set();
+        return parts.filter(function (p) {
+            const key = `${p.x},${p.y}`;
+            if (seen.has(key)) {
+                return false;
+            }
+            seen.add(key);
+            return true;
+        });
+    }
+    if (2 === type) {
+        return joinLines(parts);
+    }
+    return dissolvePolygons(parts, size);
+}
+
+// Return a GeoJSON geometry for the coordinates of one or more parts.
+function geoJSONGeometry(type, coordinates) {
+    const name = geometryTypes[type];
+    return (
+        1 === coordinates.length
+        ? {coordinates: coordinates[0], type: name}
+        : {coordinates, type: `Multi${name}`}
+    );
+}
+
+// Return whether the rings of a feature in tile pixels are within the
+// tolerance of the point, or contain it if they form a polygon.
+function featureAtPoint(rings, type, p, tolerance) {
+    if (3 === type && ringsContain(rings, p)) {
+        return true;
+    }
+    return rings.some((ring) => lineDistance(ring, p) <= tolerance);
+}
+
+// Return whether the rings of a feature in tile pixels overlap the
+// bounding box.
+function featureInBbox(rings, type, bbox) {
+    if (!intersects(ringsBbox(rings), bbox)) {
+        return false;
+    }
+    if (1 === type) {
+        return rings.some((ring) => ring.some((p) => containsPoint(bbox, p)));
+    }
+    if (3 === type) {
+        return rings.some((ring) => 0 !== clipRing(ring, bbox).length);
+    }
+    return rings.some((ring) => 0 !== clipLine(ring, bbox).length);
+}
+
 const defaultOptions = {
-    featureToLayer: defaultFeatureLayer,
+    cache: undefined,
+    cluster: undefined,
+    compression: "auto",
+    emptyStatuses: [204, 404],
+    featureToLayer: undefined,
     filter: undefined,
     layerOrder: undefined,
     layers: undefined,
@@ -99,7 +312,23 @@ const defaultOptions = {
     maxZoom: 18,
     maxDetailZoom: undefined,
     minDetailZoom: undefined,
+    minFeatureArea: 0,
+    minFeatureLength: 0,
+    overzoom: false,
+    placeholders: true,
+    placement: false,
+    renderer: "svg",
+    retries: 2,
+    refreshInterval: 0,
+    retryDelay: 500,
+    simplify: 0,
     subdomains: "abc",
+    tileCacheSize: 0,
+    tileSource: undefined,
+    time: undefined,
+    timeProperty: undefined,
+    timeout: 0,
+    worker: undefined,
     zoomOffset: 0,
     zoomReverse: false
 };
@@ -145,11 +374,124 @@ export default Object.freeze(function vectorTileLayer(url, options) {
         options.style = legacyStyle;
     }
 
+    const m_filter = compiledFilter(options.filter);
+    let m_style = compiledStyle(options.style);
+
+    // The time range shown by the layer, if any. Features are either
+    // hidden according to their `timeProperty` or tiles are loaded for the
+    // time range.
+    let m_timeRange = (
+        undefined === options.time
+        ? undefined
+        : [options.time, options.time]
+    );
+
+    // Return whether the feature's time or time range lies within the
+    // layer's time range. Features without a time are always shown.
+    function isCurrent(feature) {
+        if (!m_timeRange || !options.timeProperty) {
+            return true;
+        }
+
+        const [start, end] = [].concat(options.timeProperty).map(
+            (name) => feature.properties[name]
+        );
+        if (undefined === start) {
+            return true;
+        }
+        return (
+            timeValue(start) <= timeValue(m_timeRange[1]) &&
+            timeValue(m_timeRange[0]) <= timeValue(
+                undefined === end
+                ? start
+                : end
+            )
+        );
+    }
+
+    const m_canvas = "canvas" === options.renderer;
+    const m_tileRenderer = (
+        m_canvas
+        ? canvasTileRenderer
+        : svgTileRenderer
+    );
+
+    const m_workerLoader = options.worker && workerLoader(options.worker);
+    const m_loadOptions = {
+        emptyStatuses: options.emptyStatuses,
+        retries: options.retries,
+        retryDelay: options.retryDelay,
+        timeout: options.timeout
+    };
+
+    // Expose the details of failed loads, see Load.js, on tileerror events.
+    self.on("tileerror", function (evt) {
+        const error = evt.error || {};
+        Util.extend(evt, {
+            attempts: error.attempts,
+            kind: error.kind,
+            status: error.status,
+            url: error.url
+        });
+    });
+
+    // Pending tile loads and reloads, indexed by tile id.
+    const m_loading = {};
+    const m_reloading = {};
+
+    function abortRequest(requests, id) {
+        if (requests[id]) {
+            requests[id].abort();
+            delete requests[id];
+        }
+    }
+
+    function endRequest(requests, id, signal) {
+        if (requests[id] && requests[id].signal === signal) {
+            delete requests[id];
+        }
+    }
+
+    // Start tracking a request, aborting any previous one for the same tile.
+    function startRequest(requests, id) {
+        abortRequest(requests, id);
+        const controller = new window.AbortController();
+        requests[id] = controller;
+        return controller.signal;
+    }
+
+    // The state of features set by setFeatureState() and the feature
+    // layers showing each feature in all tiles, indexed by feature id.
+    const m_featureState = new Map();
+    const m_featureLayers = new Map();
+
+    function featureId(feature) {
+        if (!feature) {
+            return;
+        }
+        return (
+            options.getFeatureId
+            ? options.getFeatureId(feature)
+            : feature.id
+        );
+    }
+
+    function featureState(feature) {
+        const id = featureId(feature);
+        return m_featureState.get(id) || {};
+    }
+
+    // Tiles which failed to load, indexed by tile id.
+    const m_failed = {};
+
     const m_featureTiles = {};
     self.on("tileunload", function (evt) {
         const id = tileId(evt.coords);
         const tile = m_featureTiles[id];
 
+        abortRequest(m_loading, id);
+        abortRequest(m_reloading, id);
+        delete m_failed[id];
         if (!tile) {
             return;
         }
@@ -157,35 +499,129 @@ export default Object.freeze(function vectorTileLayer(url, options) {
         delete m_featureTiles[id];
     });
 
+    // The feature layer under the mouse, which is handed over when its
+    // tile is reloaded.
+    let m_hovered;
+    self.on("mouseover", function (evt) {
+        m_hovered = evt.layer;
+    });
+    self.on("mouseout", function (evt) {
+        if (evt.layer === m_hovered) {
+            m_hovered = undefined;
+        }
+    });
+
+    // Replace the features of a tile. The feature under the mouse stays
+    // hovered if the tile still shows it, otherwise it receives a mouseout
+    // event so that hover styles can be reset.
+    function replaceFeatures(tile, vectorTile) {
+        let hovered;
+        tile.eachFeatureLayer(function (featureLayer) {
+            if (featureLayer === m_hovered) {
+                hovered = featureLayer;
+            }
+        });
+        tile.clear().addVectorTile(vectorTile);
+        if (!hovered) {
+            return;
+        }
+
+        const id = featureId(hovered.feature);
+        let successor;
+        tile.eachFeatureLayer(function (featureLayer) {
+            if (
+                undefined !== id &&
+                featureLayer.layerName === hovered.layerName &&
+                featureId(featureLayer.feature) === id
+            ) {
+                successor = featureLayer;
+            }
+        });
+        if (successor) {
+            m_hovered = successor;
+            tile.setHovered(successor);
+            return;
+        }
+        self.fire("mouseout", {
+            layer: hovered,
+            propagatedFrom: hovered,
+            sourceTarget: hovered
+        });
+    }
+
     let m_map;
+
+    // Points are clustered and labels and icons are placed across all
+    // tiles once per frame after tiles or styles changed.
+    const m_placement = options.placement && labelPlacement(
+        options.placement
+    );
+    const m_clusters = options.cluster && pointClusters(
+        self,
+        options.cluster
+    );
+    let m_placementFrame;
+
+    // Return whether the feature layer is drawn, i.e. its style at the
+    // current zoom level is neither undefined nor hidden, which includes
+    // features outside the time range.
+    function isShown(featureLayer) {
+        const style = self.getFeatureStyle(
+            featureLayer.feature,
+            featureLayer.layerName,
+            self._tileZoom
+        );
+        return Boolean(style) && !style.hidden;
+    }
+
+    function placeLabels() {
+        if ((!m_placement && !m_clusters) || m_placementFrame) {
+            return;
+        }
+        m_placementFrame = Util.requestAnimFrame(function () {
+            m_placementFrame = undefined;
+            const tiles = Object.keys(m_featureTiles).map(
+                (id) => m_featureTiles[id]
+            );
+            const clustered = (
+                m_clusters
+                ? m_clusters.update(m_map, tiles, self._tileZoom, isShown)
+                : undefined
+            );
+            if (m_placement) {
+                m_placement.place(tiles, clustered);
+            }
+        });
+    }
+
+    self.on("load tileload tileunload", placeLabels);
+
+    let m_refreshTimer;
+
     self.onAdd = function onAdd(map, ...rest) {
         m_map = map;
+        if (0 < options.refreshInterval) {
+            m_refreshTimer = setInterval(
+                () => self.refresh(),
+                options.refreshInterval
+            );
+        }
         return m_super.onAdd.call(self, map, ...rest);
     };
 
     self.onRemove = function onRemove(...args) {
+        Object.keys(m_loading).forEach((id) => abortRequest(m_loading, id));
+        Object.keys(m_reloading).forEach(
+            (id) => abortRequest(m_reloading, id)
+        );
+        if (m_clusters) {
+            m_clusters.remove();
+        }
+        clearInterval(m_refreshTimer);
         m_map = undefined;
         return m_super.onRemove.call(self, ...args);
     };
 
-    self.createTile = function createTile(coords, done) {
-        const id = tileId(coords);
-        const tile = featureTile(coords, self);
-
-        m_featureTiles[id] = tile;
-        load(self.getTileUrl(coords), options.fetchOptions).then(
-            function (buffer) {
-                tile.addVectorTile(new VectorTile(new Pbf(buffer)));
-                done(null, tile);
-            },
-            function (exc) {
-                done(exc, tile);
-            }
-        );
-
-        return tile.domElement();
-    };
-
     function getSubdomain(tilePoint) {
         const index = (
             Math.abs(tilePoint.x + tilePoint.y) %
@@ -208,30 +644,669 @@ export default Object.freeze(function vectorTileLayer(url, options) {
         return zoom;
     }
 
-    function getZoomForUrl(zoom) {
+    // Return the zoom level of the tile URLs for the given zoom before
+    // limiting it to the detail zoom range.
+    function urlZoom(zoom) {
         const {maxZoom, zoomReverse, zoomOffset} = options;
 
         if (zoomReverse) {
             zoom = maxZoom - zoom;
         }
 
-        return clampZoom(zoom + zoomOffset);
+        return zoom + zoomOffset;
     }
 
-    self.getTileUrl = function getTileUrl(coords) {
+    function getZoomForUrl(zoom) {
+        return clampZoom(urlZoom(zoom));
+    }
+
+    // Return the number of zoom levels by which the given zoom lies past
+    // the detail zoom range, which is negative for zooms before the range.
+    // The detail zooms apply to the zoom levels of tile URLs.
+    function detailShift(zoom) {
+        const shift = urlZoom(zoom) - getZoomForUrl(zoom);
+        return (
+            options.zoomReverse
+            ? -shift
+            : shift
+        );
+    }
+
+    // Return the zoom level whose tile grid matches the data tiles loaded
+    // for the given zoom.
+    function dataZoom(zoom) {
+        return zoom - detailShift(zoom);
+    }
+
+    // Return the number of zoom levels by which tiles at the given zoom
+    // are derived from the data of the most detailed zoom, see Overzoom.js.
+    // Without overzooming, tiles past the detail zoom range are scaled up.
+    function overzoomLevels(zoom) {
+        if (!options.overzoom) {
+            return 0;
+        }
+        return Math.max(0, detailShift(zoom));
+    }
+
+    // Return the coordinates of the data tile with the given position in
+    // the tile grid of `dataZoom(zoom)`. Unless features are hidden by
+    // their time, the coordinates include the time range as `time`.
+    function dataTileCoords(x, y, zoom) {
+        const data = point(x, y);
+        data.z = getZoomForUrl(zoom);
+        if (m_timeRange && !options.timeProperty) {
+            data.time = timeParameter(...m_timeRange);
+        }
+        return data;
+    }
+
+    // Return the coordinates of the tile containing the data for the
+    // given tile.
+    function dataCoords(coords) {
+        const scale = 2 ** overzoomLevels(coords.z);
+        return dataTileCoords(
+            Math.floor(coords.x / scale),
+            Math.floor(coords.y / scale),
+            coords.z
+        );
+    }
+
+    // Return the vector tile to display for the given coordinates given
+    // the vector tile of its data coordinates.
+    function displayVectorTile(coords, vectorTile) {
+        const levels = overzoomLevels(coords.z);
+        return (
+            levels
+            ? overzoomVectorTile(vectorTile, coords, levels)
+            : vectorTile
+        );
+    }
+
+    // Return the URL of the tile with the given data coordinates.
+    function templateUrl(coords) {
         const data = {
             s: getSubdomain(coords),
             x: coords.x,
             y: coords.y,
-            z: getZoomForUrl(coords.z)
+            z: coords.z
         };
+        // Rows are counted from the bottom at the zoom of the data tile,
+        // which needn't be the current zoom when overzooming or
+        // prefetching.
         if (!m_map.options.crs.infinite) {
-            data["-y"] = self._globalTileRange.max.y - coords.y;
+            data["-y"] = 2 ** coords.z - 1 - coords.y;
+        }
+        return Util.template(url, Util.extend(data, options, {
+            time: (
+                undefined === coords.time
+                ? undefined
+                : encodeURIComponent(coords.time)
+            )
+        }));
+    }
+
+    self.getTileUrl = function getTileUrl(coords) {
+        return templateUrl(dataCoords(coords));
+    };
+
+    // The default tile source fetches tiles using the URL template, either
+    // directly or using the worker.
+    function urlTemplateSource() {
+        const source = {};
+
+        // The ETags of the tiles loaded on the main thread, indexed by URL.
+        const etags = new Map();
+
+        source.getTile = function getTile(coords, signal, getOptions) {
+            const tileUrl = templateUrl(coords);
+            const revalidate = Boolean(getOptions && getOptions.revalidate);
+
+            if (m_workerLoader) {
+                // Workers resolve relative URLs against their own location.
+                return m_workerLoader.load({
+                    compression: options.compression,
+                    fetchOptions: options.fetchOptions,
+                    layers: options.layers,
+                    loadOptions: m_loadOptions,
+                    revalidate,
+                    url: String(new URL(tileUrl, document.baseURI)),
+                    zoom: coords.z
+                }, signal);
+            }
+
+            return load(
+                tileUrl,
+                Util.extend({signal}, options.fetchOptions),
+                Util.extend({etags, revalidate}, m_loadOptions)
+            );
+        };
+
+        return source;
+    }
+
+    const m_tileSource = options.tileSource || (
+        isPMTiles(url)
+        ? pmtilesSource(url, options.fetchOptions, m_loadOptions)
+        : urlTemplateSource()
+    );
+
+    // Tiles are read through the cache, if any, and kept apart from those
+    // of other layers by the URL or the cache's id. Tiles decoded by the
+    // worker can't be stored.
+    if (options.cache) {
+        if (m_workerLoader && !options.tileSource && !isPMTiles(url)) {
+            throw err("cache", "Tiles decoded by the worker can't be cached");
+        }
+        if (!url && undefined === options.cache.id) {
+            throw err("cache", "Layers without a URL need a cache id");
+        }
+    }
+    const m_tileCache = options.cache && tileCache(
+        m_tileSource,
+        Util.extend({id: url || undefined}, options.cache)
+    );
+    const m_source = m_tileCache || m_tileSource;
+
+    // Recently decoded tiles indexed by data tile id, least recently used
+    // first. Several zooms may share the same data tiles.
+    const m_decoded = new Map();
+    const m_decodedStats = {hits: 0, misses: 0};
+
+    function cachedVectorTile(coords) {
+        if (!options.tileCacheSize) {
+            return;
+        }
+
+        const key = tileId(dataCoords(coords));
+        const vectorTile = m_decoded.get(key);
+
+        if (!vectorTile) {
+            m_decodedStats.misses += 1;
+            return;
+        }
+        m_decodedStats.hits += 1;
+        m_decoded.delete(key);
+        m_decoded.set(key, vectorTile);
+        return vectorTile;
+    }
+
+    function cacheVectorTile(coords, vectorTile) {
+        if (!options.tileCacheSize) {
+            return;
+        }
+
+        const key = tileId(dataCoords(coords));
+        m_decoded.delete(key);
+        m_decoded.set(key, vectorTile);
+        while (options.tileCacheSize < m_decoded.size) {
+            m_decoded.delete(m_decoded.keys().next().value);
+        }
+    }
+
+    self.getTileCacheStats = function getTileCacheStats() {
+        return {
+            hits: m_decodedStats.hits,
+            misses: m_decodedStats.misses,
+            size: m_decoded.size
+        };
+    };
+
+    // Resolve to the VectorTile for the given data coordinates. Tile
+    // sources may provide either a decoded VectorTile or its raw contents,
+    // which are undefined for empty tiles. When revalidating, sources may
+    // resolve to false if the tile is unchanged. Nothing is decoded once
+    // the signal is aborted.
+    function fetchVectorTile(data, signal, revalidate) {
+        return m_source.getTile(data, signal, {revalidate}).then(
+            function (result) {
+                if (signal.aborted) {
+                    throw signal.reason;
+                }
+                if (false === result || (result && result.layers)) {
+                    return result;
+                }
+                return decodeVectorTile(result, options.compression);
+            }
+        );
+    }
+
+    // Overzoomed tiles share the data tile they are derived from, which is
+    // loaded once and kept while any of them uses it. Entries are indexed
+    // by the id of the data tile and hold the ids of the tiles using them.
+    const m_shared = new Map();
+
+    function sharedVectorTile(coords, signal) {
+        const key = tileId(dataCoords(coords));
+        let entry = m_shared.get(key);
+
+        if (!entry) {
+            const controller = new window.AbortController();
+            entry = {
+                controller,
+                promise: fetchVectorTile(dataCoords(coords), controller.signal),
+                users: new Set()
+            };
+            m_shared.set(key, entry);
+
+            // Failed loads are tried again by the next tile.
+            const failed = entry;
+            entry.promise.catch(function () {
+                if (m_shared.get(key) === failed) {
+                    m_shared.delete(key);
+                }
+            });
+        }
+
+        entry.users.add(tileId(coords));
+        const shared = entry;
+        return entry.promise.catch(function (exc) {
+            if (shared.invalidated && !signal.aborted) {
+                return sharedVectorTile(coords, signal);
+            }
+            throw exc;
+        });
+    }
+
+    // Abort and forget all shared data tiles, for example when they were
+    // invalidated. Tiles still waiting for them load them again.
+    function clearSharedVectorTiles() {
+        m_shared.forEach(function (entry) {
+            entry.invalidated = true;
+            entry.controller.abort();
+        });
+        m_shared.clear();
+    }
+
+    function releaseSharedVectorTile(coords) {
+        const key = tileId(dataCoords(coords));
+        const entry = m_shared.get(key);
+        if (!entry) {
+            return;
+        }
+
+        entry.users.delete(tileId(coords));
+        if (!entry.users.size) {
+            entry.controller.abort();
+            m_shared.delete(key);
+        }
+    }
+
+    self.on("tileunload", (evt) => releaseSharedVectorTile(evt.coords));
+
+    // Resolve to the VectorTile to display for the given coordinates, or
+    // to false if the revalidated tile is unchanged. Shared data tiles are
+    // never revalidated since the tiles using them may not be loaded yet.
+    // Tiles are loaded again if the time changes in the meantime.
+    function loadVectorTile(coords, signal, revalidate) {
+        const {time} = dataCoords(coords);
+        const loaded = (
+            overzoomLevels(coords.z)
+            ? sharedVectorTile(coords, signal)
+            : fetchVectorTile(dataCoords(coords), signal, revalidate)
+        );
+
+        return loaded.then(function (vectorTile) {
+            if (signal.aborted) {
+                throw signal.reason;
+            }
+            if (time !== dataCoords(coords).time) {
+                return loadVectorTile(coords, signal);
+            }
+            if (false === vectorTile) {
+                return vectorTile;
+            }
+            cacheVectorTile(coords, vectorTile);
+            return displayVectorTile(coords, vectorTile);
+        });
+    }
+
+    // Loaded tiles of up to two zoom levels above or below which overlap
+    // the given tile, parents before children.
+    function placeholderTiles(tile) {
+        const coords = tile.coords();
+        const origin = coords.scaleBy(tile.tileSize());
+        const end = origin.add(tile.tileSize());
+
+        return Object.keys(m_featureTiles).filter(function (id) {
+            const other = m_featureTiles[id];
+            const otherCoords = other.coords();
+            if (
+                m_loading[id] ||
+                m_failed[id] ||
+                otherCoords.z === coords.z ||
+                2 < Math.abs(otherCoords.z - coords.z)
+            ) {
+                return false;
+            }
+            const scale = 2 ** (coords.z - otherCoords.z);
+            const size = other.tileSize().multiplyBy(scale);
+            const otherOrigin = otherCoords.scaleBy(size);
+            const otherEnd = otherOrigin.add(size);
+            return (
+                otherOrigin.x < end.x &&
+                origin.x < otherEnd.x &&
+                otherOrigin.y < end.y &&
+                origin.y < otherEnd.y
+            );
+        }).map(
+            (id) => m_featureTiles[id]
+        ).sort(
+            (a, b) => a.coords().z - b.coords().z
+        );
+    }
+
+    // Abandoned tiles are neither populated nor reported to GridLayer.
+    self.createTile = function createTile(coords, done) {
+        const id = tileId(coords);
+        const tile = featureTile(coords, self, m_tileRenderer);
+        const signal = startRequest(m_loading, id);
+
+        function finish(exc) {
+            if (!signal.aborted) {
+                endRequest(m_loading, id, signal);
+                if (exc) {
+                    m_failed[id] = tile;
+                    tile.clearPlaceholders();
+                }
+                done(exc, tile);
+            }
+        }
+
+        m_featureTiles[id] = tile;
+
+        // Cached tiles are rendered immediately, but GridLayer expects to
+        // be notified after the tile was created.
+        const cached = cachedVectorTile(coords);
+        if (cached) {
+            tile.addVectorTile(displayVectorTile(coords, cached));
+            Promise.resolve(null).then(finish);
+            return tile.domElement();
+        }
+
+        // Show tiles of other zoom levels while this one loads.
+        if (options.placeholders) {
+            placeholderTiles(tile).forEach(tile.addPlaceholder);
         }
-        return Util.template(
-            url,
-            Util.extend(data, options)
+
+        loadVectorTile(coords, signal).then(
+            (vectorTile) => tile.addVectorTile(vectorTile)
+        ).then(
+            () => finish(null),
+            finish
         );
+
+        return tile.domElement();
+    };
+
+    // Replace the features of a loaded tile once new data arrives. The
+    // tile keeps its features if the revalidated data is unchanged.
+    function reloadTile(tile, revalidate) {
+        const coords = tile.coords();
+        const id = tileId(coords);
+        const signal = startRequest(m_reloading, id);
+
+        loadVectorTile(coords, signal, revalidate).then(function (vectorTile) {
+            endRequest(m_reloading, id, signal);
+            if (false === vectorTile) {
+                return;
+            }
+            delete m_failed[id];
+            replaceFeatures(tile, vectorTile);
+            placeLabels();
+        }).catch(function (error) {
+            if (!signal.aborted) {
+                endRequest(m_reloading, id, signal);
+                m_failed[id] = tile;
+                self.fire("tileerror", {
+                    coords,
+                    error,
+                    tile: tile.domElement()
+                });
+            }
+        });
+    }
+
+    // Load the tiles again which previously failed to load.
+    self.retryFailedTiles = function retryFailedTiles() {
+        Object.keys(m_failed).forEach(function (id) {
+            const tile = m_failed[id];
+            delete m_failed[id];
+            reloadTile(tile);
+        });
+        return self;
+    };
+
+    // Return the data coordinates of the tiles covering the bounds at the
+    // given zooms. Zooms outside the detail zoom range map to the same
+    // tiles.
+    function tilesInBounds(bounds, minZoom, maxZoom) {
+        const {crs} = m_map.options;
+        const tileSize = m_super.getTileSize.call(self);
+        const tiles = {};
+
+        // Return the first and last tile covering the bounds at the zoom,
+        // limited to the extent of the CRS, if any.
+        function tileRange(zoom) {
+            const world = crs.getProjectedBounds(zoom);
+            let min = crs.latLngToPoint(bounds.getNorthWest(), zoom);
+            let max = crs.latLngToPoint(bounds.getSouthEast(), zoom);
+
+            if (world) {
+                min = point(
+                    Math.max(min.x, world.min.x),
+                    Math.max(min.y, world.min.y)
+                );
+                max = point(
+                    Math.min(max.x, world.max.x - 1),
+                    Math.min(max.y, world.max.y - 1)
+                );
+            }
+
+            return [
+                min.unscaleBy(tileSize).floor(),
+                max.unscaleBy(tileSize).floor()
+            ];
+        }
+
+        function addRange([min, max], z) {
+            let y = min.y;
+            while (y <= max.y) {
+                let x = min.x;
+                while (x <= max.x) {
+                    const coords = dataTileCoords(x, y, z);
+                    tiles[tileId(coords)] = coords;
+                    x += 1;
+                }
+                y += 1;
+            }
+        }
+
+        let zoom = minZoom;
+        while (zoom <= maxZoom) {
+            addRange(tileRange(dataZoom(zoom)), zoom);
+            zoom += 1;
+        }
+
+        return Object.keys(tiles).map((id) => tiles[id]);
+    }
+
+    // Download the tiles covering the bounds into the cache, firing
+    // "prefetchprogress" events along the way.
+    self.prefetch = function prefetch(bounds, minZoom, maxZoom) {
+        if (!m_tileCache) {
+            return Promise.reject(err("prefetch", "No cache configured"));
+        }
+        if (!m_map) {
+            return Promise.reject(err("prefetch", "Layer not on a map"));
+        }
+
+        const tiles = tilesInBounds(latLngBounds(bounds), minZoom, maxZoom);
+        const progress = {failed: 0, loaded: 0, total: tiles.length};
+
+        function next() {
+            const coords = tiles.pop();
+            if (!coords) {
+                return;
+            }
+            return m_tileCache.getTile(coords).then(
+                function () {
+                    progress.loaded += 1;
+                },
+                function () {
+                    progress.failed += 1;
+                }
+            ).then(function () {
+                self.fire("prefetchprogress", Util.extend({}, progress));
+                return next();
+            });
+        }
+
+        return Promise.all(
+            [next(), next(), next(), next()]
+        ).then(
+            () => progress
+        );
+    };
+
+    function tileLatLngBounds(tile) {
+        const {z} = tile.coords();
+        return latLngBounds(
+            m_map.unproject(tile.global(point(0, 0)), z),
+            m_map.unproject(tile.global(tile.tileSize()), z)
+        );
+    }
+
+    // Tile sources may let us know that some of their tiles changed.
+    if (m_tileSource.on) {
+        m_tileSource.on("change", function (evt) {
+            m_decoded.clear();
+            clearSharedVectorTiles();
+            if (!m_map) {
+                return;
+            }
+            Object.keys(m_featureTiles).forEach(function (id) {
+                const tile = m_featureTiles[id];
+                if (tileLatLngBounds(tile).intersects(evt.bounds)) {
+                    reloadTile(tile);
+                }
+            });
+        });
+    }
+
+    // Return the LatLngBounds of the tile with the given coordinates in the
+    // layer's tile grid.
+    function tileCoordsBounds(coords) {
+        const tileSize = m_super.getTileSize.call(self);
+        const min = point(coords.x, coords.y).scaleBy(tileSize);
+        return latLngBounds(
+            m_map.unproject(min, coords.z),
+            m_map.unproject(min.add(tileSize), coords.z)
+        );
+    }
+
+    // Load the loaded tiles again which overlap the given LatLngBounds or
+    // the tile with the given coordinates, or all tiles if neither is
+    // given. Tiles keep their features until the new data arrives and
+    // unchanged tiles aren't replaced.
+    self.invalidate = function invalidate(target) {
+        m_decoded.clear();
+        clearSharedVectorTiles();
+        if (!m_map) {
+            return self;
+        }
+
+        const isCoords = Boolean(target && undefined !== target.z);
+        const bounds = (
+            isCoords
+            ? tileCoordsBounds(target)
+            : target && latLngBounds(target)
+        );
+        // Tiles which are still loading are left alone.
+        Object.keys(m_featureTiles).forEach(function (id) {
+            const tile = m_featureTiles[id];
+            const tileBounds = tileLatLngBounds(tile);
+            if (m_loading[id]) {
+                return;
+            }
+            if (
+                !bounds ||
+                (isCoords && tileBounds.overlaps(bounds)) ||
+                (!isCoords && tileBounds.intersects(bounds))
+            ) {
+                reloadTile(tile, !m_failed[id]);
+            }
+        });
+
+        return self;
+    };
+
+    self.refresh = () => self.invalidate();
+
+    function restyleFeature(id) {
+        const featureLayers = m_featureLayers.get(id);
+        if (!featureLayers) {
+            return;
+        }
+        featureLayers.forEach(function (tile, featureLayer) {
+            const {feature, layerName} = featureLayer;
+            featureLayer.setStyle(
+                self.getFeatureStyle(feature, layerName, tile.coords().z)
+            );
+        });
+        placeLabels();
+    }
+
+    // Return the bounds in lat/lng of a feature layer in the given tile.
+    function featureLayerBounds(featureLayer, tile) {
+        const toLatLng = (p) => m_map.unproject(
+            tile.global(p),
+            tile.coords().z
+        );
+        const bbox = featureLayer.bbox();
+
+        return latLngBounds(toLatLng(bbox.min), toLatLng(bbox.max));
+    }
+
+    // Features cut at tile edges are shown by a feature layer per tile. Mouse
+    // events report the feature id, all of its feature layers as
+    // `fragments` and their combined `bounds`.
+    self.on(
+        "click dblclick mousedown mouseup mouseover mouseout mousemove " +
+        "contextmenu",
+        function (evt) {
+            const id = featureId(evt.layer && evt.layer.feature);
+            const featureLayers = m_featureLayers.get(id);
+            if (!featureLayers) {
+                return;
+            }
+
+            Util.extend(evt, {
+                bounds: self.getFeatureBounds(id),
+                featureId: id,
+                fragments: Array.from(featureLayers.keys())
+            });
+        }
+    );
+
+    // Return the combined bounds in lat/lng of all parts of a feature on
+    // the currently loaded tiles.
+    self.getFeatureBounds = function getFeatureBounds(id) {
+        const featureLayers = m_featureLayers.get(id);
+        if (!featureLayers || !m_map) {
+            return;
+        }
+
+        let bounds;
+        featureLayers.forEach(function (tile, featureLayer) {
+            const fragmentBounds = featureLayerBounds(featureLayer, tile);
+            if (!bounds) {
+                bounds = fragmentBounds;
+            } else {
+                bounds.extend(fragmentBounds);
+            }
+        });
+
+        return bounds;
     };
 
     function eachFeatureLayer(func) {
@@ -240,9 +1315,7 @@ export default Object.freeze(function vectorTileLayer(url, options) {
         );
     }
 
-    self.setStyle = function setStyle(style) {
-        options.style = style;
-
+    function restyleFeatureLayers() {
         eachFeatureLayer(function (featureLayer, idx, ignore, tile) {
             const {feature, layerName} = featureLayer;
             const featureStyle = self.getFeatureStyle(
@@ -253,14 +1326,47 @@ export default Object.freeze(function vectorTileLayer(url, options) {
 
             featureLayer.setStyle(featureStyle);
         });
+        placeLabels();
+    }
+
+    self.setStyle = function setStyle(style) {
+        m_style = compiledStyle(style);
+        options.style = style;
+        restyleFeatureLayers();
 
         return self;
     };
 
+    self.getTimeRange = () => m_timeRange && m_timeRange.slice();
+
+    // Show the features within the given time range. With `timeProperty`,
+    // the loaded features are restyled, otherwise the tiles are loaded
+    // again for the new time range.
+    self.setTimeRange = function setTimeRange(from, to) {
+        m_timeRange = [from, to];
+
+        if (options.timeProperty) {
+            restyleFeatureLayers();
+        } else {
+            m_decoded.clear();
+            clearSharedVectorTiles();
+            Object.keys(m_featureTiles).forEach(function (id) {
+                if (!m_loading[id]) {
+                    reloadTile(m_featureTiles[id]);
+                }
+            });
+        }
+        self.fire("timechange", {from, to});
+
+        return self;
+    };
+
+    self.setTime = (time) => self.setTimeRange(time, time);
+
     // Compatibilty with Leaflet.VectorGrid
     self.setFeatureStyle = function setFeatureStyle(id, style) {
         m_featureStyle[id] = style;
-        self.setStyle(options.style);
+        restyleFeature(id);
 
         return self;
     };
@@ -268,7 +1374,7 @@ export default Object.freeze(function vectorTileLayer(url, options) {
     // Compatibilty with Leaflet.VectorGrid
     self.resetFeatureStyle = function resetFeatureStyle(id) {
         delete m_featureStyle[id];
-        self.setStyle(options.style);
+        restyleFeature(id);
 
         return self;
     };
@@ -276,24 +1382,101 @@ export default Object.freeze(function vectorTileLayer(url, options) {
     self.getTileSize = function getTileSize() {
         const tileSize = m_super.getTileSize.call(self);
         const zoom = self._tileZoom;
+        const detailZoom = (
+            overzoomLevels(zoom)
+            ? zoom
+            : dataZoom(zoom)
+        );
 
         return tileSize.divideBy(
-            m_map.getZoomScale(clampZoom(zoom), zoom)
+            m_map.getZoomScale(detailZoom, zoom)
         ).round();
     };
 
     self.getFeatureStyle = function getFeatureStyle(feature, layerName, zoom) {
-        if (options.filter && !options.filter(feature, layerName, zoom)) {
+        if (m_filter && !m_filter(feature, layerName, zoom)) {
             return;
         }
 
-        const style = options.style;
+        let style = (
+            "function" === typeof m_style
+            ? m_style(feature, layerName, zoom, featureState(feature))
+            : m_style
+        );
 
-        return (
-            "function" === typeof style
-            ? style(feature, layerName, zoom)
-            : style
+        // Styles set by setFeatureStyle(), for example to highlight a
+        // feature, take precedence and are kept when tiles are reloaded.
+        // The legacy style applies them itself.
+        const featureStyle = m_featureStyle[featureId(feature)];
+        if (featureStyle && legacyStyle !== options.style) {
+            style = featureStyle;
+        }
+
+        if (!style) {
+            return style;
+        }
+
+        // The layer's tolerance applies unless the style sets its own, and
+        // features outside the time range are hidden.
+        const hidden = !isCurrent(feature);
+        if (!hidden && (!options.simplify || undefined !== style.simplify)) {
+            return style;
+        }
+        return Util.extend(
+            {simplify: options.simplify},
+            style,
+            hidden && {hidden}
+        );
+    };
+
+    // Return whether the feature would cover less than the minimum area or
+    // length in pixels, so that it isn't rendered at all.
+    self.isFeatureTooSmall = function isFeatureTooSmall(
+        feature,
+        pxPerExtent
+    ) {
+        const minimum = (
+            3 === feature.type
+            ? options.minFeatureArea
+            : (2 === feature.type && options.minFeatureLength)
+        );
+        if (!minimum) {
+            return false;
+        }
+
+        const rings = feature.loadGeometry().map(
+            (ring) => ring.map((p) => point(p).scaleBy(pxPerExtent))
+        );
+        const size = (
+            3 === feature.type
+            ? Math.abs(rings.reduce((sum, ring) => sum + ringArea(ring), 0))
+            : ringsLength(rings)
         );
+        return size < minimum;
+    };
+
+    self.getFeatureState = function getFeatureState(id) {
+        return Util.extend({}, m_featureState.get(id));
+    };
+
+    // Merge the given state into the feature's state and restyle only the
+    // feature layers showing the feature.
+    self.setFeatureState = function setFeatureState(id, state) {
+        m_featureState.set(
+            id,
+            Util.extend({}, m_featureState.get(id), state)
+        );
+        restyleFeature(id);
+
+        return self;
+    };
+
+    self.removeFeatureState = function removeFeatureState(id) {
+        if (m_featureState.delete(id)) {
+            restyleFeature(id);
+        }
+
+        return self;
     };
 
     self.getOrderedLayers = function getOrderedLayers(layerNames, zoom) {
@@ -306,12 +1489,24 @@ export default Object.freeze(function vectorTileLayer(url, options) {
         );
     };
 
-    self.featureToLayer = options.featureToLayer;
+    self.featureToLayer = options.featureToLayer || (
+        m_canvas
+        ? defaultCanvasFeatureLayer
+        : defaultFeatureLayer
+    );
 
-    self.addFeatureLayer = function addFeatureLayer(featureLayer) {
+    self.addFeatureLayer = function addFeatureLayer(featureLayer, tile) {
         featureLayer.addTo(m_map);
         featureLayer.addEventParent(self);
 
+        const id = featureId(featureLayer.feature);
+        if (undefined !== id && tile) {
+            if (!m_featureLayers.has(id)) {
+                m_featureLayers.set(id, new Map());
+            }
+            m_featureLayers.get(id).set(featureLayer, tile);
+        }
+
         return self;
     };
 
@@ -319,24 +1514,237 @@ export default Object.freeze(function vectorTileLayer(url, options) {
         featureLayer.removeEventParent(self);
         featureLayer.removeFrom(m_map);
 
+        const id = featureId(featureLayer.feature);
+        const featureLayers = m_featureLayers.get(id);
+        if (featureLayers) {
+            featureLayers.delete(featureLayer);
+            if (!featureLayers.size) {
+                m_featureLayers.delete(id);
+            }
+        }
+
         return self;
     };
 
+    // Call the function returned by visitTile(tile, origin) for every
+    // feature layer on the tiles at the current zoom level, passing the
+    // rings of the feature in tile pixels. Features outside the time range
+    // are skipped.
+    function eachTileFeature(options, visitTile) {
+        const {filter, layers} = options || {};
+        if (!m_map) {
+            return;
+        }
+
+        Object.keys(m_featureTiles).forEach(function (id) {
+            const tile = m_featureTiles[id];
+            if (tile.coords().z !== self._tileZoom) {
+                return;
+            }
+            const visit = visitTile(tile, tile.global(point(0, 0)));
+            if (!visit) {
+                return;
+            }
+
+            tile.eachFeatureLayer(function (featureLayer) {
+                const {feature, layerName} = featureLayer;
+                if (
+                    !feature ||
+                    !isCurrent(feature) ||
+                    (layers && !layers.includes(layerName)) ||
+                    (filter && !filter(feature, layerName))
+                ) {
+                    return;
+                }
+
+                visit(featureLayer, feature.loadGeometry().map(
+                    (ring) => ring.map(featureLayer.scalePoint)
+                ));
+            });
+        });
+    }
+
+    // Collect the features for which the function returned by
+    // tileHit(tile, origin) returns true, given their rings in tile pixels
+    // and their type.
+    function queryTiles(options, tileHit) {
+        const results = [];
+
+        eachTileFeature(options, function (tile, origin) {
+            const {z} = tile.coords();
+            const hit = tileHit(tile, origin);
+            if (!hit) {
+                return;
+            }
+
+            return function (featureLayer, rings) {
+                const {feature, layerName} = featureLayer;
+                if (!hit(rings, feature.type)) {
+                    return;
+                }
+
+                results.push({
+                    feature,
+                    featureId: featureId(feature),
+                    geometry: rings.map((ring) => ring.map(
+                        (p) => m_map.unproject(origin.add(p), z)
+                    )),
+                    layer: featureLayer,
+                    layerName,
+                    properties: feature.properties,
+                    type: geometryTypes[feature.type]
+                });
+            };
+        });
+
+        return results;
+    }
+
+    // Return the features at the given position, including hidden and
+    // non-interactive ones but not those outside the time range.
+    self.queryFeatures = function queryFeatures(latlng, options) {
+        const tolerance = (options && options.tolerance) || 0;
+
+        return queryTiles(options, function (tile, origin) {
+            const p = m_map.project(latlng, tile.coords().z).subtract(origin);
+            const size = tile.tileSize();
+            const tileBbox = [
+                -tolerance,
+                -tolerance,
+                size.x + tolerance,
+                size.y + tolerance
+            ];
+            if (!containsPoint(tileBbox, p)) {
+                return;
+            }
+            return (rings, type) => featureAtPoint(rings, type, p, tolerance);
+        });
+    };
+
+    // Return the features overlapping the given lat/lng bounds.
+    self.queryFeaturesInBounds = function queryFeaturesInBounds(
+        bounds,
+        options
+    ) {
+        bounds = latLngBounds(bounds);
+
+        return queryTiles(options, function (tile, origin) {
+            const {z} = tile.coords();
+            const nw = m_map.project(bounds.getNorthWest(), z).subtract(origin);
+            const se = m_map.project(bounds.getSouthEast(), z).subtract(origin);
+            const size = tile.tileSize();
+            const bbox = [nw.x, nw.y, se.x, se.y];
+            if (!intersects(bbox, [0, 0, size.x, size.y])) {
+                return;
+            }
+            return (rings, type) => featureInBbox(rings, type, bbox);
+        });
+    };
+
+    // Return the features on the loaded tiles as a GeoJSON feature
+    // collection. Geometries are clipped to their tiles to drop the tile
+    // buffers, and optionally to the given bounds. With dedupe, the
+    // fragments of a feature on several tiles are merged into one
+    // geometry, see mergeParts().
+    self.toGeoJSON = function toGeoJSON(options) {
+        const {bounds, dedupe} = options || {};
+        const features = [];
+        const fragments = new Map();
+
+        // Map pixels are rounded when merging, so that the points where
+        // features were cut at tile edges match.
+        const snap = (value) => Math.round(value * 1000) / 1000;
+
+        eachTileFeature(options, function (tile, origin) {
+            const {z} = tile.coords();
+            const size = tile.tileSize();
+            let bbox = [0, 0, size.x, size.y];
+            if (bounds) {
+                const clip = latLngBounds(bounds);
+                const nw = m_map.project(clip.getNorthWest(), z).subtract(
+                    origin
+                );
+                const se = m_map.project(clip.getSouthEast(), z).subtract(
+                    origin
+                );
+                bbox = [
+                    Math.max(bbox[0], nw.x),
+                    Math.max(bbox[1], nw.y),
+                    Math.min(bbox[2], se.x),
+                    Math.min(bbox[3], se.y)
+                ];
+                if (bbox[2] < bbox[0] || bbox[3] < bbox[1]) {
+                    return;
+                }
+            }
+
+            function mapPixel(p) {
+                const global = origin.add(p);
+                return (
+                    dedupe
+                    ? point(snap(global.x), snap(global.y))
+                    : global
+                );
+            }
+
+            return function (featureLayer, rings) {
+                const {feature, layerName} = featureLayer;
+                const tileParts = geometryParts(rings, feature.type, bbox);
+                if (!tileParts.length) {
+                    return;
+                }
+
+                const id = featureId(feature);
+                const key = `${layerName}|${id}`;
+                const parts = mapParts(tileParts, feature.type, mapPixel);
+                if (dedupe && undefined !== id && fragments.has(key)) {
+                    const merged = fragments.get(key);
+                    merged.parts = merged.parts.concat(parts);
+                    merged.merged = true;
+                    return;
+                }
+
+                const entry = {feature, id, layerName, parts, size, z};
+                features.push(entry);
+                if (dedupe && undefined !== id) {
+                    fragments.set(key, entry);
+                }
+            };
+        });
+
+        function coordinates(entry) {
+            const {feature, size, z} = entry;
+            const parts = (
+                entry.merged
+                ? mergeParts(entry.parts, feature.type, size)
+                : entry.parts
+            );
+            return mapParts(parts, feature.type, function (p) {
+                const latlng = m_map.unproject(p, z);
+                return [latlng.lng, latlng.lat];
+            });
+        }
+
+        return {
+            features: features.map((entry) => ({
+                geometry: geoJSONGeometry(
+                    entry.feature.type,
+                    coordinates(entry)
+                ),
+                id: entry.id,
+                layerName: entry.layerName,
+                properties: entry.feature.properties,
+                type: "Feature"
+            })),
+            type: "FeatureCollection"
+        };
+    };
+
     self.getBounds = function getBounds() {
         // Compute bounds in lat/lng for all tiles.
         let bounds;
         eachFeatureLayer(function (layer, idx, ignore, tile) {
-            /// Convert from tile coordinates to lat/lng.
-            const toLatLng = (p) => m_map.unproject(
-                tile.global(p),
-                tile.coords().z
-            );
-
-            const bbox = layer.bbox();
-            const tileBounds = latLngBounds(
-                toLatLng(bbox.min),
-                toLatLng(bbox.max)
-            );
+            const tileBounds = featureLayerBounds(layer, tile);
             if (!bounds) {
                 bounds = tileBounds;
             } else {
@@ -0,0 +1,126 @@
+/*
+ * Copyright 2026, agent <agent@local>
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ *   1. Redistributions of source code must retain the above copyright
+ *      notice, this list of conditions and the following disclaimer.
+ *
+ *   2. Redistributions in binary form must reproduce the above copyright
+ *      notice, this list of conditions and the following disclaimer in the
+ *      documentation and/or other materials provided with the
+ *      distribution.
+ *
+ *   3. Neither the name of the copyright holder nor the names of its
+ *      contributors may be used to endorse or promote products derived
+ *      from this software without specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS"
+ * AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE
+ * IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE
+ * ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT HOLDER OR CONTRIBUTORS BE
+ * LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR
+ * CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF
+ * SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS
+ * INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN
+ * CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE)
+ * ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE
+ * POSSIBILITY OF SUCH DAMAGE.
+ */
+
+/*property
+    AbortController, abort, addEventListener, assign, attempts, catch,
+    compression, data, error, etags, fetchOptions, filter, freeze, id, keys,
+    kind, layerOrder, layers, loadOptions, message, postMessage, revalidate,
+    signal, status, then, tile, url, zoom
+*/
+
+import Pbf from "pbf";
+import {VectorTile} from "@mapbox/vector-tile";
+import decompress from "./Decompress.js";
+import load from "./Load.js";
+import {loadError} from "./Load.js";
+import {packVectorTile, transferables} from "./PackedTile.js";
+
+/*
+ * Install a message handler in the given worker scope which fetches and
+ * decodes tiles on behalf of a VectorTileLayer. The `filter` and
+ * `layerOrder` options work like the layer options of the same name, but
+ * run inside the worker.
+ */
+export default Object.freeze(function vectorTileWorker(scope, options) {
+    const {filter, layerOrder} = options || {};
+
+    function decode(buffer, request) {
+        const {layers, zoom} = request;
+        const vectorTile = new VectorTile(new Pbf(buffer));
+
+        let layerNames = layers || Object.keys(vectorTile.layers);
+        if (layerOrder) {
+            layerNames = layerOrder(layerNames, zoom);
+        }
+
+        return packVectorTile(
+            vectorTile,
+            layerNames,
+            (feature, layerName) => !filter || filter(feature, layerName, zoom)
+        );
+    }
+
+    // Requests which can be aborted, indexed by id.
+    const m_requests = {};
+
+    // The ETags of the tiles fetched by this worker, indexed by URL.
+    const m_etags = new Map();
+
+    scope.addEventListener("message", function (evt) {
+        const request = evt.data;
+
+        if (undefined !== request.abort) {
+            if (m_requests[request.abort]) {
+                m_requests[request.abort].abort();
+            }
+            return;
+        }
+
+        const controller = new scope.AbortController();
+        m_requests[request.id] = controller;
+
+        load(
+            request.url,
+            Object.assign({signal: controller.signal}, request.fetchOptions),
+            Object.assign(
+                {etags: m_etags, revalidate: request.revalidate},
+                request.loadOptions
+            )
+        ).then(function (buffer) {
+            // Unchanged tiles are reported as false.
+            if (false === buffer) {
+                return buffer;
+            }
+            return decompress(buffer, request.compression).then(
+                (data) => decode(data, request)
+            ).catch(function (exc) {
+                throw loadError(exc, {kind: "decode", url: request.url});
+            });
+        }).then(
+            function (tile) {
+                const transfer = (
+                    false === tile
+                    ? []
+                    : transferables(tile)
+                );
+                scope.postMessage({id: request.id, tile}, transfer);
+            }
+        ).catch(function (exc) {
+            const {attempts, kind, message, status, url} = exc;
+            scope.postMessage({
+                error: {attempts, kind, message, status, url},
+                id: request.id
+            });
+        }).then(function () {
+            delete m_requests[request.id];
+        });
+    });
+});
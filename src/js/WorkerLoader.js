@@ -0,0 +1,88 @@
+/*
+ * Copyright 2026, agent <agent@local>
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ *   1. Redistributions of source code must retain the above copyright
+ *      notice, this list of conditions and the following disclaimer.
+ *
+ *   2. Redistributions in binary form must reproduce the above copyright
+ *      notice, this list of conditions and the following disclaimer in the
+ *      documentation and/or other materials provided with the
+ *      distribution.
+ *
+ *   3. Neither the name of the copyright holder nor the names of its
+ *      contributors may be used to endorse or promote products derived
+ *      from this software without specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS"
+ * AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE
+ * IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE
+ * ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT HOLDER OR CONTRIBUTORS BE
+ * LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR
+ * CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF
+ * SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS
+ * INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN
+ * CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE)
+ * ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE
+ * POSSIBILITY OF SUCH DAMAGE.
+ */
+
+/*property
+    abort, addEventListener, assign, data, error, freeze, id, load, message,
+    postMessage, reason, reject, resolve, tile
+*/
+
+import {loadError} from "./Load.js";
+import {unpackVectorTile} from "./PackedTile.js";
+
+// Send tile requests to a Worker running vectorTileWorker().
+export default Object.freeze(function workerLoader(worker) {
+    const self = {};
+    const m_pending = {};
+    let m_nextId = 0;
+
+    worker.addEventListener("message", function (evt) {
+        const {error, id, tile} = evt.data;
+        const pending = m_pending[id];
+
+        if (!pending) {
+            return;
+        }
+        delete m_pending[id];
+
+        if (undefined !== error) {
+            pending.reject(loadError(new Error(error.message), error));
+        } else if (false === tile) {
+            pending.resolve(tile);
+        } else {
+            pending.resolve(unpackVectorTile(tile));
+        }
+    });
+
+    // Resolve to a VectorTile for the given request, or to false if a
+    // revalidated tile is unchanged. The request is cancelled in the worker
+    // if the signal is aborted.
+    self.load = function load(request, signal) {
+        return new Promise(function (resolve, reject) {
+            m_nextId += 1;
+            const id = m_nextId;
+
+            if (signal) {
+                signal.addEventListener("abort", function () {
+                    if (m_pending[id]) {
+                        delete m_pending[id];
+                        worker.postMessage({abort: id});
+                        reject(signal.reason);
+                    }
+                });
+            }
+
+            m_pending[id] = {reject, resolve};
+            worker.postMessage(Object.assign({id}, request));
+        });
+    };
+
+    return self;
+});